@@ -1,9 +1,10 @@
 // App.js
 import React from "react";
-import { StatusBar } from "react-native";
+import { StatusBar, View } from "react-native";
 import {
   Provider as PaperProvider,
   DefaultTheme as PaperDefaultTheme,
+  IconButton,
 } from "react-native-paper";
 import {
   NavigationContainer,
@@ -13,10 +14,19 @@ import { createNativeStackNavigator } from "@react-navigation/native-stack";
 
 import HomeScreen from "./screens/HomeScreen";
 import InstructionsScreen from "./screens/InstructionsScreen";
+import FaceScanInstructionsScreen from "./screens/FaceScanInstructionsScreen";
 import AyurvedaBotScreen from "./screens/AyurvedaBotScreen";
 import BarcodeScannerNative from "./screens/BarcodeScannerNative";
 import FoodScanner from "./screens/FoodScannerScreen";
 import PulseScanScreen from "./screens/PulseScanScreen";
+import PulseSettingsScreen from "./screens/PulseSettingsScreen";
+import PulseHistoryScreen from "./screens/PulseHistoryScreen";
+import PulseCalibrationScreen from "./screens/PulseCalibrationScreen";
+import ChatThreadsScreen from "./screens/ChatThreadsScreen";
+import PrakritiScreen from "./screens/PrakritiScreen";
+import PrakritiQuizScreen from "./screens/PrakritiQuizScreen";
+import HerbsRemediesScreen from "./screens/HerbsRemediesScreen";
+import { newThreadId } from "./utils/chatThreads";
 
 
 // Theme stuff
@@ -78,9 +88,49 @@ export default function App() {
             options={{ title: "PulseApp — Home" }}
           />
           <Stack.Screen name="Instructions" component={InstructionsScreen} />
+          <Stack.Screen
+            name="FaceScanInstructions"
+            component={FaceScanInstructionsScreen}
+            options={{ title: "Face Scan" }}
+          />
           <Stack.Screen
             name="AyurvedaBot"
             component={AyurvedaBotScreen}
+            options={({ navigation }) => ({
+              title: "Ayurveda Bot",
+              headerRight: () => (
+                <View style={{ flexDirection: "row" }}>
+                  <IconButton
+                    icon="square-edit-outline"
+                    onPress={() => navigation.setParams({ threadId: newThreadId() })}
+                  />
+                  <IconButton
+                    icon="forum-outline"
+                    onPress={() => navigation.navigate("ChatThreads")}
+                  />
+                </View>
+              ),
+            })}
+          />
+          <Stack.Screen
+            name="ChatThreads"
+            component={ChatThreadsScreen}
+            options={{ title: "Conversations" }}
+          />
+          <Stack.Screen
+            name="Prakriti"
+            component={PrakritiScreen}
+            options={{ title: "Prakriti" }}
+          />
+          <Stack.Screen
+            name="PrakritiQuiz"
+            component={PrakritiQuizScreen}
+            options={{ title: "Prakriti Assessment" }}
+          />
+          <Stack.Screen
+            name="HerbsRemedies"
+            component={HerbsRemediesScreen}
+            options={{ title: "Herbs & Remedies" }}
           />
           <Stack.Screen
             name="BarcodeScannerNative"
@@ -97,7 +147,36 @@ export default function App() {
           <Stack.Screen
             name="PulseScan"
             component={PulseScanScreen}
-            options={{ title: "Pulse Scan" }}
+            options={({ navigation }) => ({
+              title: "Pulse Scan",
+              headerRight: () => (
+                <View style={{ flexDirection: "row" }}>
+                  <IconButton
+                    icon="history"
+                    onPress={() => navigation.navigate("PulseHistory")}
+                  />
+                  <IconButton
+                    icon="cog-outline"
+                    onPress={() => navigation.navigate("PulseSettings")}
+                  />
+                </View>
+              ),
+            })}
+          />
+          <Stack.Screen
+            name="PulseSettings"
+            component={PulseSettingsScreen}
+            options={{ title: "Pulse Settings" }}
+          />
+          <Stack.Screen
+            name="PulseHistory"
+            component={PulseHistoryScreen}
+            options={{ title: "Pulse History" }}
+          />
+          <Stack.Screen
+            name="PulseCalibration"
+            component={PulseCalibrationScreen}
+            options={{ title: "Calibration" }}
           />
         </Stack.Navigator>
       </NavigationContainer>
@@ -0,0 +1,65 @@
+// components/BlandAltmanChart.js
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import Svg, { Circle, Line, Text as SvgText } from "react-native-svg";
+
+const PAD_LEFT = 34;
+const PAD = 10;
+
+/*
+  Bland-Altman plot: one dot per pair at (mean of both readings, app − reference),
+  with the bias line and the 95% limits of agreement.
+  agreement: a computeAgreement() result
+*/
+export default function BlandAltmanChart({ agreement, width, height = 200 }) {
+  if (!agreement) return null;
+  const { points, bias, loa } = agreement;
+
+  const xs = points.map((p) => p.mean);
+  const ys = [...points.map((p) => p.diff), loa[0], loa[1], 0];
+  const xMin = Math.min(...xs) - 2;
+  const xMax = Math.max(...xs) + 2;
+  const yMin = Math.min(...ys) - 2;
+  const yMax = Math.max(...ys) + 2;
+  const x = (v) => PAD_LEFT + ((v - xMin) / (xMax - xMin)) * (width - PAD_LEFT - PAD);
+  const y = (v) => PAD + ((yMax - v) / (yMax - yMin)) * (height - 2 * PAD);
+
+  const hLine = (value, color, dashed, label) => (
+    <React.Fragment key={label}>
+      <Line
+        x1={PAD_LEFT}
+        x2={width - PAD}
+        y1={y(value)}
+        y2={y(value)}
+        stroke={color}
+        strokeWidth={1}
+        strokeDasharray={dashed ? "4 3" : undefined}
+      />
+      <SvgText x={PAD_LEFT - 4} y={y(value) + 3} fontSize="9" fill={color} textAnchor="end">
+        {value}
+      </SvgText>
+    </React.Fragment>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Svg width={width} height={height}>
+        {hLine(0, "#ccc", false, "zero")}
+        {hLine(bias, "#684bf7", false, "bias")}
+        {hLine(loa[0], "#ef4444", true, "lower")}
+        {hLine(loa[1], "#ef4444", true, "upper")}
+        {points.map((p, i) => (
+          <Circle key={i} cx={x(p.mean)} cy={y(p.diff)} r={3} fill="#111" opacity={0.7} />
+        ))}
+      </Svg>
+      <Text style={styles.caption}>
+        Difference (app − reference) vs. mean of both, BPM. Solid: bias; dashed: 95% limits.
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: "center", marginTop: 8 },
+  caption: { color: "#666", fontSize: 11, marginTop: 4, textAlign: "center" },
+});
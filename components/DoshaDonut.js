@@ -0,0 +1,75 @@
+// components/DoshaDonut.js
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import Svg, { Circle, G, Text as SvgText } from "react-native-svg";
+import { DOSHAS, DOSHA_COLORS, DOSHA_LABELS } from "../utils/doshas";
+
+const STROKE = 22;
+
+/*
+  Donut of Vata/Pitta/Kapha proportions with a legend.
+  scores: { vata, pitta, kapha } percentages; label: text in the middle
+*/
+export default function DoshaDonut({ scores, label, size = 180 }) {
+  const radius = (size - STROKE) / 2;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  return (
+    <View style={styles.container}>
+      <Svg width={size} height={size}>
+        <G rotation={-90} origin={`${size / 2}, ${size / 2}`}>
+          <Circle cx={size / 2} cy={size / 2} r={radius} stroke="#eee" strokeWidth={STROKE} fill="none" />
+          {DOSHAS.map((d) => {
+            const length = (scores[d] / 100) * circumference;
+            const arc = (
+              <Circle
+                key={d}
+                cx={size / 2}
+                cy={size / 2}
+                r={radius}
+                stroke={DOSHA_COLORS[d]}
+                strokeWidth={STROKE}
+                strokeDasharray={`${length} ${circumference - length}`}
+                strokeDashoffset={-offset}
+                fill="none"
+              />
+            );
+            offset += length;
+            return arc;
+          })}
+        </G>
+        {label ? (
+          <SvgText
+            x={size / 2}
+            y={size / 2 + 6}
+            fontSize="16"
+            fontWeight="700"
+            fill="#111"
+            textAnchor="middle"
+          >
+            {label}
+          </SvgText>
+        ) : null}
+      </Svg>
+      <View style={styles.legend}>
+        {DOSHAS.map((d) => (
+          <View key={d} style={styles.legendItem}>
+            <View style={[styles.swatch, { backgroundColor: DOSHA_COLORS[d] }]} />
+            <Text style={styles.legendText}>
+              {DOSHA_LABELS[d]} {scores[d]}%
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: "center", marginTop: 8 },
+  legend: { flexDirection: "row", marginTop: 8 },
+  legendItem: { flexDirection: "row", alignItems: "center", marginHorizontal: 8 },
+  swatch: { width: 10, height: 10, borderRadius: 5, marginRight: 4 },
+  legendText: { fontSize: 13, color: "#333" },
+});
@@ -0,0 +1,48 @@
+// components/MarkdownMessage.js
+import React from "react";
+import { Linking } from "react-native";
+import Markdown from "react-native-markdown-display";
+
+const openLink = (url) => {
+  Linking.openURL(url).catch((err) => console.warn("Failed opening link:", err));
+  // Handled here; stop the library from opening it a second time
+  return false;
+};
+
+/*
+  Assistant reply rendered as Markdown: headings, emphasis, lists, links and tables.
+*/
+export default function MarkdownMessage({ content }) {
+  return (
+    <Markdown style={markdownStyles} onLinkPress={openLink}>
+      {content}
+    </Markdown>
+  );
+}
+
+const markdownStyles = {
+  body: { color: "#333", fontSize: 15, lineHeight: 21 },
+  heading1: { fontSize: 20, fontWeight: "700", marginTop: 6, marginBottom: 4 },
+  heading2: { fontSize: 18, fontWeight: "700", marginTop: 6, marginBottom: 4 },
+  heading3: { fontSize: 16, fontWeight: "700", marginTop: 4, marginBottom: 2 },
+  strong: { fontWeight: "700", color: "#1b5e20" },
+  em: { fontStyle: "italic" },
+  paragraph: { marginTop: 2, marginBottom: 6 },
+  bullet_list: { marginVertical: 2 },
+  ordered_list: { marginVertical: 2 },
+  list_item: { marginVertical: 2 },
+  link: { color: "#4CAF50", textDecorationLine: "underline" },
+  blockquote: {
+    backgroundColor: "#f5f5f5",
+    borderLeftColor: "#4CAF50",
+    borderLeftWidth: 3,
+    paddingHorizontal: 8,
+    marginVertical: 4,
+  },
+  code_inline: { backgroundColor: "#f0f0f0", borderRadius: 4, paddingHorizontal: 4 },
+  table: { borderWidth: 1, borderColor: "#ddd", borderRadius: 6, marginVertical: 6 },
+  thead: { backgroundColor: "#f3f9f3" },
+  th: { padding: 6, fontWeight: "700" },
+  tr: { borderBottomWidth: 1, borderColor: "#eee" },
+  td: { padding: 6 },
+};
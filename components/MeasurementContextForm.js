@@ -0,0 +1,119 @@
+// components/MeasurementContextForm.js
+import React from "react";
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from "react-native";
+import {
+  CONTEXT_LABELS,
+  CONTEXT_TAGS,
+  POSTURE_LABELS,
+  POSTURES,
+} from "../utils/pulseContext";
+
+const THEMES = {
+  dark: {
+    label: "#9ca3af",
+    chipBorder: "#1f2937",
+    chipText: "#9ca3af",
+    chipActive: "#1f2937",
+    chipActiveText: "#f9fafb",
+    input: "#f9fafb",
+    inputBorder: "#1f2937",
+    placeholder: "#6b7280",
+  },
+  light: {
+    label: "#666",
+    chipBorder: "#ddd",
+    chipText: "#444",
+    chipActive: "#684bf7",
+    chipActiveText: "#fff",
+    input: "#222",
+    inputBorder: "#ddd",
+    placeholder: "#999",
+  },
+};
+
+/*
+  Tag, posture and note picker for a pulse reading.
+  context: { tag, customTag, posture } (or null); note: string
+  onChange({ context, note }) fires on every edit with the full new value.
+*/
+export default function MeasurementContextForm({ context, note, onChange, theme = "dark" }) {
+  const t = THEMES[theme];
+  const current = context || {};
+  const update = (patch, newNote = note || "") =>
+    onChange({ context: { ...current, ...patch }, note: newNote });
+
+  const renderChips = (options, labels, selected, onSelect) => (
+    <View style={styles.chips}>
+      {Object.values(options).map((value) => {
+        const active = selected === value;
+        return (
+          <TouchableOpacity
+            key={value}
+            style={[
+              styles.chip,
+              { borderColor: t.chipBorder },
+              active && { backgroundColor: t.chipActive, borderColor: t.chipActive },
+            ]}
+            // Tapping the selected chip clears it
+            onPress={() => onSelect(active ? null : value)}
+          >
+            <Text style={[styles.chipText, { color: active ? t.chipActiveText : t.chipText }]}>
+              {labels[value]}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <View>
+      <Text style={[styles.label, { color: t.label }]}>What were you doing?</Text>
+      {renderChips(CONTEXT_TAGS, CONTEXT_LABELS, current.tag, (tag) => update({ tag }))}
+      {current.tag === CONTEXT_TAGS.CUSTOM && (
+        <TextInput
+          style={[styles.input, { color: t.input, borderColor: t.inputBorder }]}
+          placeholder="e.g. after yoga, after coffee…"
+          placeholderTextColor={t.placeholder}
+          value={current.customTag || ""}
+          onChangeText={(customTag) => update({ customTag })}
+        />
+      )}
+
+      <Text style={[styles.label, { color: t.label }]}>Posture</Text>
+      {renderChips(POSTURES, POSTURE_LABELS, current.posture, (posture) => update({ posture }))}
+
+      <Text style={[styles.label, { color: t.label }]}>Notes</Text>
+      <TextInput
+        style={[styles.input, styles.noteInput, { color: t.input, borderColor: t.inputBorder }]}
+        placeholder="Optional — how you felt, medication, caffeine…"
+        placeholderTextColor={t.placeholder}
+        multiline
+        value={note || ""}
+        onChangeText={(text) => update({}, text)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  label: { fontSize: 12, fontWeight: "600", marginTop: 10, marginBottom: 6 },
+  chips: { flexDirection: "row", flexWrap: "wrap" },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 999,
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipText: { fontSize: 12, fontWeight: "600" },
+  input: {
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 13,
+  },
+  noteInput: { minHeight: 56, textAlignVertical: "top" },
+});
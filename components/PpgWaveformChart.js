@@ -0,0 +1,73 @@
+// components/PpgWaveformChart.js
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+
+// More points than this makes the SVG path slow to redraw on every frame
+const MAX_POINTS = 150;
+
+const chartConfig = {
+  backgroundGradientFrom: "#020617",
+  backgroundGradientTo: "#020617",
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(34,197,94,${opacity})`,
+  labelColor: () => "#9ca3af",
+  strokeWidth: 2,
+  propsForDots: { r: "4", fill: "#ef4444", stroke: "#fca5a5", strokeWidth: "1" },
+};
+
+// Decimates the waveform and maps peak indexes onto the decimated points
+function downsample(waveform, peaks) {
+  const stride = Math.max(1, Math.ceil(waveform.length / MAX_POINTS));
+  const points = [];
+  for (let i = 0; i < waveform.length; i += stride) points.push(waveform[i]);
+  const peakPoints = new Set();
+  peaks.forEach((p) => {
+    const idx = Math.min(points.length - 1, Math.round(p / stride));
+    // Put the marker on the actual peak height, not the neighbouring sample
+    points[idx] = Math.max(points[idx], waveform[p]);
+    peakPoints.add(idx);
+  });
+  return { points, peakPoints };
+}
+
+/*
+  Draws a PPG waveform with optional beat markers.
+  - waveform: array of numbers (any scale)
+  - peaks: sample indexes into waveform where beats were detected
+*/
+export default function PpgWaveformChart({ waveform, peaks = [], width, height = 120, title }) {
+  if (!waveform || waveform.length < 2) return null;
+
+  const { points, peakPoints } = downsample(waveform, peaks);
+  const hidden = [];
+  points.forEach((_, i) => {
+    if (!peakPoints.has(i)) hidden.push(i);
+  });
+
+  return (
+    <View style={styles.container}>
+      {title ? <Text style={styles.title}>{title}</Text> : null}
+      <LineChart
+        data={{ labels: [], datasets: [{ data: points }] }}
+        width={width}
+        height={height}
+        chartConfig={chartConfig}
+        withDots={peakPoints.size > 0}
+        hidePointsAtIndex={hidden}
+        withInnerLines={false}
+        withOuterLines={false}
+        withHorizontalLabels={false}
+        withVerticalLabels={false}
+        withShadow={false}
+        style={styles.chart}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: "center", marginTop: 8 },
+  title: { fontSize: 12, color: "#9ca3af", marginBottom: 4 },
+  chart: { paddingRight: 8, paddingTop: 8, borderRadius: 12 },
+});
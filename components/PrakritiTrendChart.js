@@ -0,0 +1,60 @@
+// components/PrakritiTrendChart.js
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import Svg, { Rect, Text as SvgText } from "react-native-svg";
+import { DOSHAS, DOSHA_COLORS } from "../utils/doshas";
+
+const PAD = 10;
+const LABEL_HEIGHT = 14;
+const MAX_BAR_WIDTH = 36;
+
+/*
+  One stacked 100% column per assessment, oldest on the left, so shifts in the
+  dosha proportions between retakes are easy to see.
+  assessments: saved assessments, newest first (as stored)
+*/
+export default function PrakritiTrendChart({ assessments, width, height = 160 }) {
+  if (assessments.length < 2) return null;
+  const columns = [...assessments].reverse();
+  const slot = (width - 2 * PAD) / columns.length;
+  const barWidth = Math.min(MAX_BAR_WIDTH, slot * 0.7);
+  const plotHeight = height - PAD - LABEL_HEIGHT;
+
+  return (
+    <View style={styles.container}>
+      <Svg width={width} height={height}>
+        {columns.map((a, i) => {
+          const x = PAD + i * slot + (slot - barWidth) / 2;
+          let top = PAD;
+          return (
+            <React.Fragment key={a.id}>
+              {DOSHAS.map((d) => {
+                const h = (a.scores[d] / 100) * plotHeight;
+                const rect = (
+                  <Rect key={d} x={x} y={top} width={barWidth} height={h} fill={DOSHA_COLORS[d]} />
+                );
+                top += h;
+                return rect;
+              })}
+              <SvgText
+                x={x + barWidth / 2}
+                y={height - 2}
+                fontSize="9"
+                fill="#666"
+                textAnchor="middle"
+              >
+                {new Date(a.when).toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+              </SvgText>
+            </React.Fragment>
+          );
+        })}
+      </Svg>
+      <Text style={styles.caption}>Vata (top), Pitta and Kapha share in each assessment.</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: "center", marginTop: 8 },
+  caption: { color: "#666", fontSize: 11, marginTop: 4, textAlign: "center" },
+});
@@ -0,0 +1,60 @@
+// components/RhythmChart.js
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+
+const THEMES = {
+  dark: {
+    backgroundGradientFrom: "#020617",
+    backgroundGradientTo: "#020617",
+    color: (opacity = 1) => `rgba(147,197,253,${opacity})`,
+    labelColor: () => "#9ca3af",
+    titleColor: "#9ca3af",
+  },
+  light: {
+    backgroundGradientFrom: "#ffffff",
+    backgroundGradientTo: "#ffffff",
+    color: (opacity = 1) => `rgba(104,75,247,${opacity})`,
+    labelColor: (opacity = 1) => `rgba(68,68,68,${opacity})`,
+    titleColor: "#666",
+  },
+};
+
+/*
+  Beat-to-beat interval plot (tachogram): one point per beat, interval in ms.
+  A regular rhythm is a flat band; an irregular one jumps around.
+*/
+export default function RhythmChart({ intervals, width, height = 140, theme = "dark" }) {
+  if (!intervals || intervals.length < 2) return null;
+  const t = THEMES[theme];
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.title, { color: t.titleColor }]}>Beat-to-beat intervals (ms)</Text>
+      <LineChart
+        data={{ labels: [], datasets: [{ data: intervals.map((v) => Math.round(v)) }] }}
+        width={width}
+        height={height}
+        chartConfig={{
+          backgroundGradientFrom: t.backgroundGradientFrom,
+          backgroundGradientTo: t.backgroundGradientTo,
+          decimalPlaces: 0,
+          color: t.color,
+          labelColor: t.labelColor,
+          propsForDots: { r: "2" },
+        }}
+        withInnerLines={false}
+        withVerticalLabels={false}
+        withShadow={false}
+        segments={3}
+        style={styles.chart}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: "center", marginTop: 8 },
+  title: { fontSize: 12, marginBottom: 4 },
+  chart: { borderRadius: 12 },
+});
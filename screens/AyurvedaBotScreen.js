@@ -1,5 +1,5 @@
 // screens/AyurvedaBotScreen.js
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useCallback } from "react";
 import {
   View,
   TextInput,
@@ -10,69 +10,554 @@ import {
   KeyboardAvoidingView,
   Platform,
   ActivityIndicator,
+  Pressable,
+  Alert,
 } from "react-native";
+import * as Clipboard from "expo-clipboard";
+import { Button, Dialog, Portal } from "react-native-paper";
+import NetInfo from "@react-native-community/netinfo";
+import { useFocusEffect } from "@react-navigation/native";
+import MarkdownMessage from "../components/MarkdownMessage";
+import {
+  loadThread,
+  loadThreads,
+  newThreadId,
+  saveThreadMessages,
+  updateThreadMessages,
+  wasThreadDeleted,
+} from "../utils/chatThreads";
+import { streamChat } from "../utils/chatStream";
+import { prepareContext, refineSummary } from "../utils/chatContext";
+import { STARTER_TOPICS, normalizeSuggestions } from "../utils/chatSuggestions";
+import {
+  FEEDBACK_TYPES,
+  buildFeedback,
+  flushFeedbackQueue,
+  submitFeedback,
+} from "../utils/chatFeedback";
+import { ATTACHMENT_ICONS, ATTACHMENT_PROMPTS } from "../utils/chatAttachments";
+import {
+  MESSAGE_STATUS,
+  hasOfflineAnswer,
+  insertReply,
+  newMessageId,
+  requestHistory,
+  restoreStatuses,
+  setMessageStatus,
+} from "../utils/chatMessages";
+import {
+  isVoiceUnavailable,
+  startVoiceRecording,
+  stopVoiceRecording,
+  transcribeAudio,
+  useSpeechPlayer,
+} from "../utils/chatVoice";
+import { answerOffline } from "../utils/knowledgeBase";
+import { loadPrakritiProfile, prakritiLabel, prakritiProfilePayload } from "../utils/prakriti";
 
 const API_URL = "https://ayurveda-bot-backend.onrender.com/chat"; // Backend endpoint
+const STREAM_URL = "https://ayurveda-bot-backend.onrender.com/chat/stream"; // Streaming endpoint (SSE or chunked text)
+
+// Presses shorter than this are taken as taps, not questions
+const MIN_RECORDING_MS = 700;
 
-const AyurvedaBotScreen = () => {
+const AyurvedaBotScreen = ({ navigation, route }) => {
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [threadId, setThreadId] = useState(null);
+  const [draft, setDraft] = useState(null); // reply streamed so far
+  const [attachment, setAttachment] = useState(null); // sent with the next question
+  const [copiedIndex, setCopiedIndex] = useState(null);
+  const [prakriti, setPrakriti] = useState(null); // latest Prakriti assessment
+  const [online, setOnline] = useState(true);
+  const [summary, setSummary] = useState(null); // rolling summary of older turns
+  const [reporting, setReporting] = useState(null); // { index, comment } of the reply being reported
+  const [voice, setVoice] = useState(null); // null | "recording" | "transcribing"
+  const [voiceInputAvailable, setVoiceInputAvailable] = useState(true);
+  const [speechAvailable, setSpeechAvailable] = useState(true);
+  const recordingRef = useRef(null); // Promise of the recording being started
+  const threadIdRef = useRef(null);
+  const messagesRef = useRef([]); // latest messages, for async sends that outlive a render
+  const summaryRef = useRef(null);
+  const onlineRef = useRef(true);
+  const flushingRef = useRef(false);
+  const controllerRef = useRef(null);
+  const summaryControllerRef = useRef(null); // background refineSummary() request
+  const stoppedRef = useRef(false); // the in-flight request was stopped on purpose
   const scrollViewRef = useRef();
 
-  const sendMessage = async () => {
-    if (!input.trim() || loading) return;
+  const requestedThreadId = route.params?.threadId;
+  const incomingAttachment = route.params?.attachment;
 
-    const userMessage = { role: "user", content: input };
-    const updatedMessages = [...messages, userMessage]; // Include the new message in history
-    setMessages(updatedMessages);
-    setInput("");
+  // A scan result handed over from another screen becomes the next question's context
+  useEffect(() => {
+    if (!incomingAttachment) return;
+    setAttachment(incomingAttachment);
+    setInput(ATTACHMENT_PROMPTS[incomingAttachment.type] || "");
+  }, [incomingAttachment]);
+
+  const stopReply = () => {
+    stoppedRef.current = true;
+    controllerRef.current?.abort();
+  };
+
+  useEffect(() => stopReply, []);
+
+  const showThread = (id, thread) => {
+    threadIdRef.current = id;
+    messagesRef.current = thread ? restoreStatuses(thread.messages) : [];
+    summaryRef.current = (thread && thread.summary) || null;
+    setThreadId(id);
+    setMessages(messagesRef.current);
+    setSummary(summaryRef.current);
+  };
+
+  // Reloaded on focus so a retaken assessment applies straight away. The
+  // open thread may have been deleted from the list meanwhile: start afresh
+  useFocusEffect(
+    useCallback(() => {
+      loadPrakritiProfile().then(setPrakriti);
+      if (threadIdRef.current && wasThreadDeleted(threadIdRef.current)) {
+        stopReply();
+        summaryControllerRef.current?.abort();
+        showThread(newThreadId(), null);
+      }
+    }, [])
+  );
+
+  useEffect(
+    () =>
+      NetInfo.addEventListener((state) => {
+        // isInternetReachable is null until it has been checked
+        const connected = !!state.isConnected && state.isInternetReachable !== false;
+        onlineRef.current = connected;
+        setOnline(connected);
+      }),
+    []
+  );
+
+  // Open the requested thread, or resume the most recent one
+  useEffect(() => {
+    let active = true;
+    stopReply();
+    (async () => {
+      const thread = requestedThreadId
+        ? await loadThread(requestedThreadId)
+        : (await loadThreads())[0];
+      if (!active) return;
+      showThread(thread ? thread.id : requestedThreadId || newThreadId(), thread);
+      setLoading(false);
+    })();
+    return () => {
+      active = false;
+      summaryControllerRef.current?.abort();
+    };
+  }, [requestedThreadId]);
+
+  useEffect(() => {
+    if (!threadId || !messages.length) return;
+    saveThreadMessages(threadId, messages, { summary }).catch((err) =>
+      console.warn("Failed saving chat thread:", err)
+    );
+  }, [threadId, messages, summary]);
+
+  // Applies fn to a thread's messages, whether it is on screen or not
+  const updateThread = (id, fn) => {
+    if (threadIdRef.current === id) {
+      messagesRef.current = fn(messagesRef.current);
+      setMessages(messagesRef.current);
+      return;
+    }
+    updateThreadMessages(id, fn).catch((err) => console.warn("Failed saving chat thread:", err));
+  };
+
+  // Answers questionId from the bundled knowledge base while the bot can't be reached
+  const addOfflineAnswer = (id, questionId) =>
+    updateThread(id, (prev) => {
+      const question = prev.find((m) => m.id === questionId);
+      if (!question || hasOfflineAnswer(prev, questionId)) return prev;
+      const { content, entryIds } = answerOffline(question.content);
+      return insertReply(prev, questionId, {
+        id: newMessageId(),
+        role: "assistant",
+        content,
+        offline: true,
+        answerTo: questionId,
+        entryIds,
+      });
+    });
+
+  /*
+    Replaces a locally truncated summary of thread id with the summarize
+    endpoint's, in the background so no send waits for it. The result is
+    dropped if the thread was left or its summary changed meanwhile.
+  */
+  const refineThreadSummary = (id, history, current) => {
+    if (!current || !current.local || summaryControllerRef.current) return;
+    const controller = new AbortController();
+    summaryControllerRef.current = controller;
+    refineSummary(history, current, { signal: controller.signal })
+      .then((refined) => {
+        if (!refined || threadIdRef.current !== id || summaryRef.current !== current) return;
+        summaryRef.current = refined;
+        setSummary(refined);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.warn("Summarize endpoint failed, keeping the local summary:", err.message);
+        }
+      })
+      .finally(() => {
+        if (summaryControllerRef.current === controller) summaryControllerRef.current = null;
+      });
+  };
+
+  /*
+    Sends question questionId of the open thread and records the outcome on
+    it. Resolves true once the bot answered in full.
+  */
+  const deliver = async (questionId) => {
+    // The user may switch threads while waiting; the reply belongs to this one
+    const sentThreadId = threadIdRef.current;
+
+    const setStatus = (status) =>
+      updateThread(sentThreadId, (prev) => setMessageStatus(prev, questionId, status));
+    const addReply = (content, suggestions = []) =>
+      updateThread(sentThreadId, (prev) =>
+        insertReply(
+          setMessageStatus(prev, questionId, MESSAGE_STATUS.SENT),
+          questionId,
+          suggestions.length
+            ? { id: newMessageId(), role: "assistant", content, suggestions }
+            : { id: newMessageId(), role: "assistant", content }
+        )
+      );
+
+    setStatus(MESSAGE_STATUS.SENDING);
     setLoading(true);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    stoppedRef.current = false;
+    let streamed = "";
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 50000); // Increased to 50s for assistant runs
+      // Recent turns verbatim, older ones as a summary
+      const history = requestHistory(messagesRef.current, questionId);
+      const context = prepareContext(history, summaryRef.current);
+      if (threadIdRef.current === sentThreadId && context.summary !== summaryRef.current) {
+        summaryRef.current = context.summary;
+        setSummary(context.summary);
+      }
+      const payload = { messages: context.messages };
+      if (context.summary) payload.summary = context.summary.text;
+      // The user's constitution, so advice is personalized
+      if (prakriti) payload.profile = prakritiProfilePayload(prakriti);
+
+      let reply;
+      let suggestions = [];
+      try {
+        reply = await streamChat(STREAM_URL, payload, {
+          signal: controller.signal,
+          onDelta: (text) => {
+            streamed += text;
+            if (threadIdRef.current === sentThreadId) setDraft(streamed);
+          },
+          onSuggestions: (list) => (suggestions = normalizeSuggestions(list)),
+        });
+      } catch (err) {
+        if (err.name === "AbortError" || streamed) throw err;
+        // Streaming endpoint unavailable: fall back to the one-shot endpoint
+        console.warn("Streaming chat failed, falling back:", err.message);
+        ({ reply, suggestions } = await fetchReply(payload, controller));
+      }
+      if (!reply) throw new Error("Empty reply");
+      addReply(reply, suggestions);
+      refineThreadSummary(sentThreadId, history, context.summary);
+      return true;
+    } catch (err) {
+      if (streamed) {
+        // Keep what arrived; a deliberate stop needs no warning
+        addReply(stoppedRef.current ? streamed : `${streamed}\n\n⚠️ Connection lost.`);
+      } else if (stoppedRef.current) {
+        setStatus(MESSAGE_STATUS.FAILED);
+      } else {
+        console.warn("Chat error:", err.message);
+        // Lost the connection on the way: wait for it instead of asking for a retry
+        setStatus(onlineRef.current ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.QUEUED);
+        addOfflineAnswer(sentThreadId, questionId);
+      }
+      return false;
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      if (threadIdRef.current === sentThreadId) {
+        setDraft(null);
+        setLoading(false);
+      }
+    }
+  };
 
+  // Sends the open thread's queued questions in order while online
+  const flushQueue = async () => {
+    if (flushingRef.current || controllerRef.current) return;
+    flushingRef.current = true;
+    try {
+      while (onlineRef.current) {
+        const next = messagesRef.current.find((m) => m.status === MESSAGE_STATUS.QUEUED);
+        if (!next || !(await deliver(next.id))) break;
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+
+  useEffect(() => {
+    if (online && threadId) flushQueue();
+  }, [online, threadId]);
+
+  useEffect(() => {
+    if (online) flushFeedbackQueue();
+  }, [online]);
+
+  /*
+    Records the user's rating or report on reply messages[index] (kept on
+    the message so it stays visible) and sends it as feedback.
+  */
+  const giveFeedback = (index, type, comment) => {
+    const msg = messages[index];
+    const previous = msg.feedback || {};
+    if (type !== FEEDBACK_TYPES.UNSAFE && previous.rating === type) return;
+    const feedback =
+      type === FEEDBACK_TYPES.UNSAFE ? { ...previous, reported: true } : { ...previous, rating: type };
+    const item = buildFeedback({ threadId, messages, index, type, comment });
+    updateThread(threadId, (prev) => prev.map((m, i) => (i === index ? { ...m, feedback } : m)));
+    submitFeedback(item).catch((err) => console.warn("Failed queueing feedback:", err));
+  };
+
+  const submitReport = () => {
+    giveFeedback(reporting.index, FEEDBACK_TYPES.UNSAFE, reporting.comment);
+    setReporting(null);
+    Alert.alert("Thank you", "Your report helps us make the bot's advice safer.");
+  };
+
+  const sendMessage = async (text = input) => {
+    if (!text.trim() || loading || !threadId) return;
+
+    const question = {
+      id: newMessageId(),
+      role: "user",
+      content: text,
+      status: onlineRef.current ? MESSAGE_STATUS.SENDING : MESSAGE_STATUS.QUEUED,
+    };
+    if (attachment) question.attachment = attachment;
+    updateThread(threadId, (prev) => [...prev, question]);
+    setInput("");
+    setAttachment(null);
+
+    if (onlineRef.current) await deliver(question.id);
+    else addOfflineAnswer(threadId, question.id);
+  };
+
+  // Hold-to-talk: recording runs while the mic button is pressed
+  const startListening = () => {
+    if (voice || loading) return;
+    setVoice("recording");
+    recordingRef.current = startVoiceRecording();
+    recordingRef.current.catch((err) => {
+      recordingRef.current = null;
+      setVoice(null);
+      if (err.code === "permission") Alert.alert("Microphone", err.message);
+      else console.warn("Failed starting recording:", err);
+    });
+  };
+
+  const finishListening = async () => {
+    const pending = recordingRef.current;
+    recordingRef.current = null;
+    if (!pending) return;
+    try {
+      const { uri, durationMs } = await stopVoiceRecording(await pending);
+      if (durationMs < MIN_RECORDING_MS) {
+        setVoice(null);
+        Alert.alert("Voice input", "Hold the mic button while you speak.");
+        return;
+      }
+      setVoice("transcribing");
+      const text = await transcribeAudio(uri);
+      if (text) await sendMessage(text);
+      else Alert.alert("Voice input", "Sorry, I couldn't make out any words. Try again.");
+    } catch (err) {
+      if (isVoiceUnavailable(err)) {
+        setVoiceInputAvailable(false);
+        Alert.alert("Voice input", "Voice input isn't available right now. Please type instead.");
+      } else if (err.code !== "permission") {
+        console.warn("Voice input failed:", err);
+        Alert.alert("Voice input", "Couldn't transcribe your question. Try again or type it.");
+      }
+    } finally {
+      setVoice(null);
+    }
+  };
+
+  const onSpeechError = useCallback((err) => {
+    if (isVoiceUnavailable(err)) {
+      setSpeechAvailable(false);
+    } else {
+      console.warn("Failed playing reply:", err);
+      Alert.alert("Listen", "Couldn't play this reply. Try again.");
+    }
+  }, []);
+  const speech = useSpeechPlayer(onSpeechError);
+
+  const retryMessage = (msg) => {
+    if (loading) return;
+    if (onlineRef.current) {
+      deliver(msg.id);
+    } else {
+      updateThread(threadId, (prev) => setMessageStatus(prev, msg.id, MESSAGE_STATUS.QUEUED));
+    }
+  };
+
+  const fetchReply = async (payload, controller) => {
+    const timeoutId = setTimeout(() => controller.abort(), 50000); // Increased to 50s for assistant runs
+    try {
       const response = await fetch(API_URL, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ messages: updatedMessages }), // Send full history
+        body: JSON.stringify(payload),
         signal: controller.signal,
       });
-      clearTimeout(timeoutId);
-
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
       const data = await response.json();
+      return { reply: data.reply, suggestions: normalizeSuggestions(data.suggestions) };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
 
-      if (data.reply) {
-        setMessages((prev) => [
-          ...prev,
-          { role: "assistant", content: data.reply },
-        ]);
-      } else {
-        setMessages((prev) => [
-          ...prev,
-          { role: "assistant", content: "⚠️ No reply from server." },
-        ]);
-      }
+  const copyMessage = async (msg, index) => {
+    try {
+      await Clipboard.setStringAsync(msg.content);
+      setCopiedIndex(index);
+      setTimeout(() => setCopiedIndex((i) => (i === index ? null : i)), 1500);
     } catch (err) {
-      console.error("Chat error:", err);
-      setMessages((prev) => [
-        ...prev,
-        { role: "assistant", content: "⚠️ Failed to connect to the bot." },
-      ]);
-    } finally {
-      setLoading(false);
+      console.warn("Failed copying message:", err);
     }
   };
 
+  const renderStatus = (msg) => {
+    switch (msg.status) {
+      case MESSAGE_STATUS.QUEUED:
+        return <Text style={styles.statusText}>Waiting for connection…</Text>;
+      case MESSAGE_STATUS.SENDING:
+        return <Text style={styles.statusText}>Sending…</Text>;
+      case MESSAGE_STATUS.FAILED:
+        return (
+          <TouchableOpacity onPress={() => retryMessage(msg)} disabled={loading}>
+            <Text style={[styles.statusText, styles.failedText]}>Not sent · Tap to retry</Text>
+          </TouchableOpacity>
+        );
+      case MESSAGE_STATUS.SENT:
+        return <Text style={styles.statusText}>✓</Text>;
+      default:
+        return null;
+    }
+  };
+
+  // Prompt chips; tapping one asks it straight away
+  const renderChips = (chips) => (
+    <View style={styles.chipRow}>
+      {chips.map((c) => (
+        <TouchableOpacity
+          key={c.key}
+          style={[styles.chip, loading && styles.chipDisabled]}
+          onPress={() => sendMessage(c.prompt)}
+          disabled={loading}
+        >
+          <Text style={styles.chipText}>{c.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderBrowseLink = (msg) => (
+    <TouchableOpacity
+      onPress={() => navigation.navigate("HerbsRemedies", { entryId: msg.entryIds?.[0] })}
+    >
+      <Text style={[styles.actionText, styles.listenText, { marginTop: 6 }]}>
+        Browse Herbs & Remedies
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderReplyActions = (msg, index) => {
+    const feedback = msg.feedback || {};
+    return (
+      <View style={styles.replyActions}>
+        {renderListen(msg)}
+        <TouchableOpacity onPress={() => giveFeedback(index, FEEDBACK_TYPES.UP)}>
+          <Text
+            style={[
+              styles.feedbackIcon,
+              feedback.rating === FEEDBACK_TYPES.UP && styles.feedbackSelected,
+            ]}
+          >
+            👍
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => giveFeedback(index, FEEDBACK_TYPES.DOWN)}>
+          <Text
+            style={[
+              styles.feedbackIcon,
+              feedback.rating === FEEDBACK_TYPES.DOWN && styles.feedbackSelected,
+            ]}
+          >
+            👎
+          </Text>
+        </TouchableOpacity>
+        {feedback.reported ? (
+          <Text style={[styles.actionText, styles.reportedText]}>Reported</Text>
+        ) : (
+          <TouchableOpacity onPress={() => setReporting({ index, comment: "" })}>
+            <Text style={[styles.actionText, styles.reportText]}>⚑ Report</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderListen = (msg) => {
+    if (!speechAvailable) return null;
+    const label =
+      speech.preparing === msg.content
+        ? "Loading…"
+        : speech.speaking === msg.content
+        ? "■ Stop"
+        : "🔊 Listen";
+    return (
+      <TouchableOpacity
+        onPress={() => speech.speak(msg.content)}
+        disabled={speech.preparing !== null}
+      >
+        <Text style={[styles.actionText, styles.listenText]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderAttachmentChip = (a) => (
+    <View style={styles.attachmentChip}>
+      <Text style={styles.attachmentText} numberOfLines={1}>
+        {ATTACHMENT_ICONS[a.type] || "📎"} {a.label}
+      </Text>
+    </View>
+  );
+
   // Smooth auto-scroll
   useEffect(() => {
     setTimeout(() => {
       scrollViewRef.current?.scrollToEnd({ animated: true });
     }, 50);
-  }, [messages]);
+  }, [messages, draft]);
 
   return (
     <KeyboardAvoidingView
@@ -85,25 +570,81 @@ const AyurvedaBotScreen = () => {
         contentContainerStyle={{ paddingVertical: 10 }}
         ref={scrollViewRef}
       >
-        {messages.map((msg, index) => (
-          <View
-            key={index}
-            style={[
-              styles.messageContainer,
-              msg.role === "user"
-                ? styles.userMsgContainer
-                : styles.botMsgContainer,
-            ]}
+        {!online && (
+          <Text style={styles.offlineBanner}>
+            You're offline. New messages will be sent when you reconnect.
+          </Text>
+        )}
+        {summary && (
+          <TouchableOpacity
+            onPress={() => Alert.alert("Earlier conversation (summary)", summary.text)}
           >
-            <Text
-              style={msg.role === "user" ? styles.userText : styles.botText}
-            >
-              {msg.content}
+            <Text style={styles.condensedText}>
+              Earlier context condensed: the bot sees a summary of the first {summary.count}{" "}
+              messages. Tap to read it.
+            </Text>
+          </TouchableOpacity>
+        )}
+        {messages.length === 0 && !loading && (
+          <Text style={styles.emptyText}>
+            Ask about herbs, diet, daily routine or your dosha. Your
+            conversations are saved on this device.
+          </Text>
+        )}
+        {messages.length === 0 && !loading && (
+          <TouchableOpacity onPress={() => navigation.navigate("Prakriti")}>
+            <Text style={styles.profileLink}>
+              {prakriti
+                ? `Answers are tailored to your ${prakritiLabel(prakriti)} Prakriti`
+                : "Take the Prakriti assessment for personalized answers"}
             </Text>
+          </TouchableOpacity>
+        )}
+        {messages.length === 0 && !loading && (
+          <View style={styles.starters}>
+            <Text style={styles.startersTitle}>{STARTER_TOPICS.title}</Text>
+            {renderChips(
+              STARTER_TOPICS.topics.map((t) => ({ key: t.id, label: t.label, prompt: t.prompt }))
+            )}
           </View>
+        )}
+        {messages.map((msg, index) => (
+          <React.Fragment key={index}>
+            <Pressable
+              onLongPress={() => copyMessage(msg, index)}
+              style={[
+                styles.messageContainer,
+                msg.role === "user"
+                  ? styles.userMsgContainer
+                  : styles.botMsgContainer,
+                msg.offline && styles.offlineMsgContainer,
+              ]}
+            >
+              {msg.attachment && renderAttachmentChip(msg.attachment)}
+              {msg.role === "user" ? (
+                <Text style={styles.userText}>{msg.content}</Text>
+              ) : (
+                <MarkdownMessage content={msg.content} />
+              )}
+              {copiedIndex === index && <Text style={styles.copiedText}>Copied</Text>}
+              {msg.role === "user"
+                ? renderStatus(msg)
+                : msg.offline
+                ? renderBrowseLink(msg)
+                : renderReplyActions(msg, index)}
+            </Pressable>
+            {msg.suggestions &&
+              renderChips(msg.suggestions.map((text) => ({ key: text, label: text, prompt: text })))}
+          </React.Fragment>
         ))}
 
-        {loading && (
+        {loading && draft !== null && (
+          <View style={[styles.messageContainer, styles.botMsgContainer]}>
+            <MarkdownMessage content={`${draft}▍`} />
+          </View>
+        )}
+
+        {loading && draft === null && (
           <View
             style={[
               styles.botMsgContainer,
@@ -120,22 +661,79 @@ const AyurvedaBotScreen = () => {
         )}
       </ScrollView>
 
+      {attachment && (
+        <View style={styles.attachmentBar}>
+          {renderAttachmentChip(attachment)}
+          <TouchableOpacity onPress={() => setAttachment(null)}>
+            <Text style={styles.attachmentRemove}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {voice && (
+        <Text style={styles.voiceHint}>
+          {voice === "recording" ? "🎙️ Listening… release to send" : "Transcribing…"}
+        </Text>
+      )}
+
       <View style={styles.inputBox}>
         <TextInput
           style={styles.input}
           placeholder="Ask something about Ayurveda..."
           value={input}
           onChangeText={setInput}
-          editable={!loading}
+          editable={!loading && !voice}
         />
-        <TouchableOpacity
-          style={styles.sendBtn}
-          onPress={sendMessage}
-          disabled={loading}
-        >
-          <Text style={styles.sendText}>Send</Text>
-        </TouchableOpacity>
+        {!loading && !input.trim() && voiceInputAvailable && online ? (
+          <Pressable
+            style={[styles.sendBtn, styles.micBtn, voice === "recording" && styles.micBtnActive]}
+            onPressIn={startListening}
+            onPressOut={finishListening}
+            disabled={voice === "transcribing"}
+          >
+            {voice === "transcribing" ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.sendText}>🎤 Hold</Text>
+            )}
+          </Pressable>
+        ) : loading ? (
+          <TouchableOpacity
+            style={[styles.sendBtn, styles.stopBtn]}
+            onPress={stopReply}
+          >
+            <Text style={styles.sendText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={styles.sendBtn} onPress={() => sendMessage()}>
+            <Text style={styles.sendText}>Send</Text>
+          </TouchableOpacity>
+        )}
       </View>
+
+      <Portal>
+        <Dialog visible={!!reporting} onDismiss={() => setReporting(null)}>
+          <Dialog.Title>Report unsafe advice</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.reportHint}>
+              What was wrong or unsafe about this answer? (optional)
+            </Text>
+            <TextInput
+              style={styles.reportInput}
+              multiline
+              value={reporting ? reporting.comment : ""}
+              onChangeText={(comment) => setReporting((prev) => ({ ...prev, comment }))}
+              placeholder="e.g. dosage, interactions with medication…"
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setReporting(null)}>Cancel</Button>
+            <Button textColor="#d9534f" onPress={submitReport}>
+              Report
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </KeyboardAvoidingView>
   );
 };
@@ -167,7 +765,58 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.05,
     shadowRadius: 3,
   },
+  offlineMsgContainer: { backgroundColor: "#FFF8E1" },
+  emptyText: {
+    color: "#888",
+    textAlign: "center",
+    marginTop: 40,
+    paddingHorizontal: 30,
+  },
+  profileLink: {
+    color: "#4CAF50",
+    textAlign: "center",
+    marginTop: 12,
+    textDecorationLine: "underline",
+  },
   userText: { color: "#000" },
+  statusText: { color: "#888", fontSize: 11, marginTop: 4, alignSelf: "flex-end" },
+  failedText: { color: "#d9534f", fontWeight: "600" },
+  offlineBanner: {
+    backgroundColor: "#fff3cd",
+    color: "#856404",
+    textAlign: "center",
+    padding: 8,
+    borderRadius: 8,
+    marginBottom: 6,
+  },
+  starters: { marginTop: 20, paddingHorizontal: 10 },
+  startersTitle: { color: "#555", fontWeight: "600", textAlign: "center", marginBottom: 4 },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "flex-start",
+    marginBottom: 4,
+  },
+  chip: {
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#4CAF50",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginTop: 6,
+  },
+  chipDisabled: { opacity: 0.5 },
+  chipText: { color: "#2e7d32", fontSize: 13 },
+  condensedText: {
+    color: "#666",
+    fontSize: 12,
+    textAlign: "center",
+    paddingHorizontal: 20,
+    marginBottom: 6,
+  },
+  copiedText: { color: "#888", fontSize: 11, marginTop: 4, alignSelf: "flex-end" },
   botText: { color: "#333" },
   inputBox: {
     flexDirection: "row",
@@ -192,6 +841,56 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     paddingVertical: 10,
   },
+  attachmentBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingTop: 8,
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderColor: "#eee",
+  },
+  attachmentChip: {
+    alignSelf: "flex-start",
+    maxWidth: "90%",
+    backgroundColor: "#EDE9FE",
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  attachmentText: { color: "#4c1d95", fontSize: 12, fontWeight: "600" },
+  attachmentRemove: {
+    color: "#888",
+    fontSize: 16,
+    paddingHorizontal: 10,
+    marginBottom: 6,
+  },
+  stopBtn: { backgroundColor: "#d9534f" },
+  micBtn: { backgroundColor: "#684bf7" },
+  micBtnActive: { backgroundColor: "#d9534f" },
+  voiceHint: {
+    textAlign: "center",
+    color: "#555",
+    paddingVertical: 6,
+    backgroundColor: "#fff",
+  },
+  replyActions: { flexDirection: "row", alignItems: "center", marginTop: 6 },
+  actionText: { fontSize: 12, fontWeight: "600", marginRight: 14 },
+  listenText: { color: "#4CAF50" },
+  feedbackIcon: { fontSize: 14, marginRight: 12, opacity: 0.35 },
+  feedbackSelected: { opacity: 1 },
+  reportText: { color: "#888" },
+  reportedText: { color: "#d9534f" },
+  reportHint: { color: "#555", marginBottom: 8 },
+  reportInput: {
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 10,
+    textAlignVertical: "top",
+  },
   sendText: { color: "#fff", fontWeight: "bold" },
 });
 
@@ -14,6 +14,8 @@ import { Button, Card, Paragraph } from "react-native-paper";
 import * as ImagePicker from "expo-image-picker";
 import * as ImageManipulator from "expo-image-manipulator";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { productAttachment } from "../utils/chatAttachments";
+import { newThreadId } from "../utils/chatThreads";
 
 /*
   Updated BarcodeScannerNative:
@@ -423,6 +425,28 @@ export default function BarcodeScannerNative({ navigation }) {
             </>
           ) : null}
         </Card.Content>
+        <Card.Actions>
+          <Button
+            mode="contained-tonal"
+            icon="leaf"
+            onPress={() =>
+              navigation.navigate("AyurvedaBot", {
+                threadId: newThreadId(),
+                attachment: productAttachment({
+                  name,
+                  brand,
+                  barcode,
+                  ingredients,
+                  allergens,
+                  vegStatus,
+                  nutrition,
+                }),
+              })
+            }
+          >
+            Ask Ayurveda Bot
+          </Button>
+        </Card.Actions>
       </Card>
     );
   };
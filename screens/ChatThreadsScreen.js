@@ -0,0 +1,124 @@
+// screens/ChatThreadsScreen.js
+import React, { useCallback, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, Alert } from "react-native";
+import { Button, Card, Dialog, Paragraph, Portal, TextInput } from "react-native-paper";
+import { useFocusEffect } from "@react-navigation/native";
+import { deleteThread, loadThreads, newThreadId, renameThread } from "../utils/chatThreads";
+
+export default function ChatThreadsScreen({ navigation }) {
+  const [threads, setThreads] = useState([]);
+  const [renaming, setRenaming] = useState(null); // { id, title }
+
+  useFocusEffect(
+    useCallback(() => {
+      loadThreads().then(setThreads);
+    }, [])
+  );
+
+  const openThread = (threadId) => navigation.navigate("AyurvedaBot", { threadId });
+
+  const confirmDelete = (thread) => {
+    Alert.alert("Delete conversation", `Delete "${thread.title}"? This cannot be undone.`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            setThreads(await deleteThread(thread.id));
+          } catch (err) {
+            console.warn("Failed deleting chat thread:", err);
+            Alert.alert("Error", "Could not delete the conversation. Try again.");
+          }
+        },
+      },
+    ]);
+  };
+
+  const saveTitle = async () => {
+    const title = renaming.title.trim();
+    try {
+      if (title) setThreads(await renameThread(renaming.id, title));
+    } catch (err) {
+      console.warn("Failed renaming chat thread:", err);
+      Alert.alert("Error", "Could not rename the conversation. Try again.");
+    } finally {
+      setRenaming(null);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 12 }}>
+      <Button mode="contained" icon="plus" onPress={() => openThread(newThreadId())}>
+        New conversation
+      </Button>
+
+      {threads.length === 0 ? (
+        <Paragraph style={styles.muted}>No saved conversations yet.</Paragraph>
+      ) : (
+        threads.map((t) => {
+          const last = t.messages[t.messages.length - 1];
+          return (
+            <Card key={t.id} style={{ marginTop: 8 }} onPress={() => openThread(t.id)}>
+              <Card.Content>
+                <View style={styles.threadRow}>
+                  <Text style={styles.threadTitle} numberOfLines={1}>
+                    {t.title}
+                  </Text>
+                  <Text style={styles.muted}>{new Date(t.updatedAt).toLocaleDateString()}</Text>
+                </View>
+                {last ? (
+                  <Text style={styles.preview} numberOfLines={2}>
+                    {last.role === "user" ? "You: " : ""}
+                    {last.content}
+                  </Text>
+                ) : null}
+                <Text style={styles.meta}>
+                  {t.messages.length} message{t.messages.length === 1 ? "" : "s"} · started{" "}
+                  {new Date(t.createdAt).toLocaleString()}
+                </Text>
+              </Card.Content>
+              <Card.Actions>
+                <Button mode="text" onPress={() => setRenaming({ id: t.id, title: t.title })}>
+                  Rename
+                </Button>
+                <Button mode="text" textColor="#d9534f" onPress={() => confirmDelete(t)}>
+                  Delete
+                </Button>
+              </Card.Actions>
+            </Card>
+          );
+        })
+      )}
+
+      <Portal>
+        <Dialog visible={!!renaming} onDismiss={() => setRenaming(null)}>
+          <Dialog.Title>Rename conversation</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              mode="outlined"
+              value={renaming ? renaming.title : ""}
+              onChangeText={(title) => setRenaming((prev) => ({ ...prev, title }))}
+              autoFocus
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRenaming(null)}>Cancel</Button>
+            <Button onPress={saveTitle}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  muted: { color: "#666", marginTop: 8, fontSize: 12 },
+  threadRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  threadTitle: { flex: 1, fontSize: 16, fontWeight: "700", marginRight: 8 },
+  preview: { color: "#333", marginTop: 4 },
+  meta: { color: "#666", marginTop: 6, fontSize: 12 },
+});
@@ -0,0 +1,39 @@
+// screens/FaceScanInstructionsScreen.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { MEASUREMENT_METHODS, loadPulseSettings, savePulseSettings } from '../utils/pulseSettings';
+
+export default function FaceScanInstructionsScreen({ navigation }) {
+  const handleContinue = async () => {
+    const settings = await loadPulseSettings();
+    await savePulseSettings({ ...settings, measurementMethod: MEASUREMENT_METHODS.FACE });
+    navigation.navigate('PulseScan');
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Contactless Pulse (Face)</Text>
+      <Text style={styles.instruction}>1. Sit in even, bright light — face a window or a lamp.</Text>
+      <Text style={styles.instruction}>2. Hold the phone at arm's length, front camera towards you.</Text>
+      <Text style={styles.instruction}>3. Fit your face inside the oval on screen.</Text>
+      <Text style={styles.instruction}>4. Keep still and don't talk until the measurement is done.</Text>
+      <Text style={styles.note}>
+        No need to touch the camera and the flash stays off. Readings are a little less
+        precise than the fingertip method and are computed on your phone only.
+      </Text>
+
+      <TouchableOpacity style={styles.button} onPress={handleContinue}>
+        <Text style={styles.buttonText}>Continue</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container:{ flex:1, justifyContent:'center', alignItems:'center', padding:20, backgroundColor:'#fff' },
+  title:{ fontSize:24, fontWeight:'700', marginBottom:20 },
+  instruction:{ fontSize:16, marginVertical:6, textAlign:'center' },
+  note:{ fontSize:13, color:'#666', marginTop:16, textAlign:'center' },
+  button:{ marginTop:30, backgroundColor:'#0a84ff', paddingVertical:14, paddingHorizontal:30, borderRadius:12 },
+  buttonText:{ color:'#fff', fontWeight:'700', fontSize:16 },
+});
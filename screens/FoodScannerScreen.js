@@ -13,6 +13,8 @@ import {
 import { Button, Card, Paragraph } from "react-native-paper";
 import * as ImagePicker from "expo-image-picker";
 import * as ImageManipulator from "expo-image-manipulator";
+import { mealAttachment } from "../utils/chatAttachments";
+import { newThreadId } from "../utils/chatThreads";
 
 /*
   Fixed FoodScannerScreen:
@@ -357,6 +359,20 @@ export default function FoodScannerScreen({ navigation }) {
               </View>
             </Card.Content>
           </Card>
+
+          <Button
+            mode="contained-tonal"
+            icon="leaf"
+            style={{ marginTop: 12 }}
+            onPress={() =>
+              navigation.navigate("AyurvedaBot", {
+                threadId: newThreadId(),
+                attachment: mealAttachment(result.foods, computeTotals(result.foods)),
+              })
+            }
+          >
+            Ask Ayurveda Bot
+          </Button>
         </View>
       )}
 
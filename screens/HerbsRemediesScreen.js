@@ -0,0 +1,112 @@
+// screens/HerbsRemediesScreen.js
+import React, { useEffect, useState } from "react";
+import { View, Text, StyleSheet, ScrollView } from "react-native";
+import { Card, Chip, Paragraph, Searchbar } from "react-native-paper";
+import MarkdownMessage from "../components/MarkdownMessage";
+import { ENTRY_TYPE_LABELS, KNOWLEDGE, findEntry, searchKnowledge } from "../utils/knowledgeBase";
+
+/*
+  Browse and search the bundled knowledge base — the same entries the chat
+  answers from when it is offline. route.params.entryId opens one entry.
+*/
+export default function HerbsRemediesScreen({ route }) {
+  const [query, setQuery] = useState("");
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const requestedEntryId = route.params?.entryId;
+
+  useEffect(() => {
+    const entry = requestedEntryId && findEntry(requestedEntryId);
+    if (!entry) return;
+    setTypeFilter(entry.type);
+    setExpandedId(entry.id);
+  }, [requestedEntryId]);
+
+  const results = searchKnowledge(query, { type: typeFilter }).map((r) => r.entry);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 12 }}>
+      <Searchbar
+        placeholder="Search herbs, doshas, concerns…"
+        value={query}
+        onChangeText={setQuery}
+        style={styles.search}
+      />
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+        <Chip style={styles.filterChip} selected={!typeFilter} onPress={() => setTypeFilter(null)}>
+          All
+        </Chip>
+        {Object.entries(ENTRY_TYPE_LABELS).map(([type, label]) => (
+          <Chip
+            key={type}
+            style={styles.filterChip}
+            selected={typeFilter === type}
+            onPress={() => setTypeFilter(typeFilter === type ? null : type)}
+          >
+            {label}
+          </Chip>
+        ))}
+      </ScrollView>
+
+      {results.length === 0 ? (
+        <Paragraph style={styles.muted}>Nothing found. Try another word or spelling.</Paragraph>
+      ) : (
+        results.map((e) => {
+          const expanded = expandedId === e.id;
+          return (
+            <Card
+              key={e.id}
+              style={{ marginTop: 8 }}
+              onPress={() => setExpandedId(expanded ? null : e.id)}
+            >
+              <Card.Content>
+                <View style={styles.entryRow}>
+                  <Text style={styles.entryTitle}>{e.title}</Text>
+                  <Text style={styles.entryType}>{ENTRY_TYPE_LABELS[e.type]}</Text>
+                </View>
+                {e.aliases.length > 0 && (
+                  <Text style={styles.aliases}>{e.aliases.join(" · ")}</Text>
+                )}
+                <Text style={styles.summary}>{e.summary}</Text>
+                {expanded && (
+                  <View style={styles.details}>
+                    <MarkdownMessage content={e.body} />
+                    {e.cautions ? <Text style={styles.cautions}>⚠️ {e.cautions}</Text> : null}
+                  </View>
+                )}
+              </Card.Content>
+            </Card>
+          );
+        })
+      )}
+
+      <Paragraph style={styles.disclaimer}>{KNOWLEDGE.disclaimer}</Paragraph>
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  search: { marginBottom: 10 },
+  filterRow: { marginBottom: 6 },
+  filterChip: { marginRight: 6 },
+  muted: { color: "#666", marginTop: 8, fontSize: 12 },
+  entryRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  entryTitle: { flex: 1, fontSize: 16, fontWeight: "700", marginRight: 8 },
+  entryType: { color: "#684bf7", fontSize: 12, fontWeight: "600" },
+  aliases: { color: "#888", fontSize: 12, marginTop: 2 },
+  summary: { color: "#333", marginTop: 6 },
+  details: { marginTop: 8, borderTopWidth: 1, borderColor: "#eee", paddingTop: 6 },
+  cautions: {
+    marginTop: 6,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: "#fff3cd",
+    color: "#856404",
+    fontSize: 13,
+  },
+  disclaimer: { color: "#888", marginTop: 16, fontSize: 11, textAlign: "center" },
+});
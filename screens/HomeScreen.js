@@ -22,6 +22,22 @@ const HomeScreen = ({ navigation }) => {
         Ayurveda Bot
       </Button>
 
+      <Button
+        style={styles.button}
+        mode="contained"
+        onPress={() => navigation.navigate("Prakriti")}
+      >
+        My Prakriti
+      </Button>
+
+      <Button
+        style={styles.button}
+        mode="contained"
+        onPress={() => navigation.navigate("HerbsRemedies")}
+      >
+        Herbs & Remedies
+      </Button>
+
 
       <Button 
       style={styles.button} 
@@ -1,8 +1,15 @@
 // screens/InstructionsScreen.js
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { MEASUREMENT_METHODS, loadPulseSettings, savePulseSettings } from '../utils/pulseSettings';
 
 export default function InstructionsScreen({ navigation }) {
+  const handleContinue = async () => {
+    const settings = await loadPulseSettings();
+    await savePulseSettings({ ...settings, measurementMethod: MEASUREMENT_METHODS.FINGER });
+    navigation.navigate("PulseScan");
+  };
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>How to Measure Pulse</Text>
@@ -13,10 +20,14 @@ export default function InstructionsScreen({ navigation }) {
 
       <TouchableOpacity
         style={styles.button}
-        onPress={() => navigation.navigate("PulseScan")}
+        onPress={handleContinue}
       >
         <Text style={styles.buttonText}>Continue</Text>
       </TouchableOpacity>
+
+      <TouchableOpacity onPress={() => navigation.navigate("FaceScanInstructions")}>
+        <Text style={styles.link}>Flash gets too warm? Measure with your face instead</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -27,4 +38,5 @@ const styles = StyleSheet.create({
   instruction:{ fontSize:16, marginVertical:6, textAlign:'center' },
   button:{ marginTop:30, backgroundColor:'#0a84ff', paddingVertical:14, paddingHorizontal:30, borderRadius:12 },
   buttonText:{ color:'#fff', fontWeight:'700', fontSize:16 },
+  link:{ marginTop:18, color:'#0a84ff', fontSize:14, textAlign:'center' },
 });
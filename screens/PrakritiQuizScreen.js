@@ -0,0 +1,109 @@
+// screens/PrakritiQuizScreen.js
+import React, { useState } from "react";
+import { View, Text, StyleSheet, ScrollView, Alert, TouchableOpacity } from "react-native";
+import { Button, ProgressBar } from "react-native-paper";
+import { PRAKRITI_QUESTIONS, addPrakritiAssessment, scorePrakriti } from "../utils/prakriti";
+
+const { questions } = PRAKRITI_QUESTIONS;
+
+export default function PrakritiQuizScreen({ navigation }) {
+  const [index, setIndex] = useState(0);
+  const [answers, setAnswers] = useState({}); // { [questionId]: dosha }
+  const [saving, setSaving] = useState(false);
+
+  const question = questions[index];
+  const isLast = index === questions.length - 1;
+  const allAnswered = questions.every((q) => answers[q.id]);
+
+  const finish = async (finalAnswers) => {
+    const result = scorePrakriti(finalAnswers);
+    if (!result) return;
+    setSaving(true);
+    try {
+      await addPrakritiAssessment(result, finalAnswers);
+      navigation.replace("Prakriti");
+    } catch (err) {
+      console.warn("Failed saving Prakriti assessment:", err);
+      Alert.alert("Error", "Could not save your assessment. Try again.");
+      setSaving(false);
+    }
+  };
+
+  const choose = (dosha) => {
+    const updated = { ...answers, [question.id]: dosha };
+    setAnswers(updated);
+    // Move on by itself; the last answer waits for "See my result"
+    if (!isLast) setIndex(index + 1);
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 16 }}>
+      <Text style={styles.progressText}>
+        Question {index + 1} of {questions.length} · {question.category}
+      </Text>
+      <ProgressBar progress={(index + 1) / questions.length} style={styles.progress} />
+      {index === 0 && <Text style={styles.intro}>{PRAKRITI_QUESTIONS.intro}</Text>}
+
+      <Text style={styles.question}>{question.text}</Text>
+      {question.options.map((o) => {
+        const selected = answers[question.id] === o.dosha;
+        return (
+          <TouchableOpacity
+            key={o.dosha}
+            style={[styles.option, selected && styles.optionSelected]}
+            onPress={() => choose(o.dosha)}
+            disabled={saving}
+          >
+            <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{o.text}</Text>
+          </TouchableOpacity>
+        );
+      })}
+
+      <View style={styles.navRow}>
+        <Button mode="text" disabled={index === 0 || saving} onPress={() => setIndex(index - 1)}>
+          Back
+        </Button>
+        {isLast ? (
+          <Button
+            mode="contained"
+            loading={saving}
+            disabled={!allAnswered || saving}
+            onPress={() => finish(answers)}
+          >
+            See my result
+          </Button>
+        ) : (
+          <Button mode="text" disabled={!answers[question.id]} onPress={() => setIndex(index + 1)}>
+            Next
+          </Button>
+        )}
+      </View>
+      {isLast && !allAnswered && (
+        <Text style={styles.muted}>
+          {questions.length - Object.keys(answers).length} question(s) still unanswered — go back
+          to finish them.
+        </Text>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  progressText: { color: "#666", fontSize: 12 },
+  progress: { marginTop: 6, height: 6, borderRadius: 3 },
+  intro: { color: "#444", marginTop: 12, fontStyle: "italic" },
+  question: { fontSize: 20, fontWeight: "700", marginTop: 20, marginBottom: 12 },
+  option: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 10,
+    padding: 14,
+    marginTop: 10,
+  },
+  optionSelected: { borderColor: "#684bf7", backgroundColor: "#f3efff" },
+  optionText: { fontSize: 15, color: "#333" },
+  optionTextSelected: { color: "#4c1d95", fontWeight: "600" },
+  navRow: { flexDirection: "row", justifyContent: "space-between", marginTop: 24 },
+  muted: { color: "#666", marginTop: 8, fontSize: 12, textAlign: "right" },
+});
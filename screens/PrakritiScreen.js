@@ -0,0 +1,136 @@
+// screens/PrakritiScreen.js
+import React, { useCallback, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, Alert, Dimensions } from "react-native";
+import { Button, Card, Paragraph } from "react-native-paper";
+import { useFocusEffect } from "@react-navigation/native";
+import DoshaDonut from "../components/DoshaDonut";
+import PrakritiTrendChart from "../components/PrakritiTrendChart";
+import {
+  PRAKRITI_QUESTIONS,
+  deletePrakritiAssessment,
+  loadPrakritiAssessments,
+  prakritiLabel,
+} from "../utils/prakriti";
+import { DOSHAS, DOSHA_LABELS } from "../utils/doshas";
+
+const CHART_WIDTH = Dimensions.get("window").width - 24;
+
+export default function PrakritiScreen({ navigation }) {
+  const [assessments, setAssessments] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadPrakritiAssessments().then((list) => {
+        setAssessments(list);
+        setLoaded(true);
+      });
+    }, [])
+  );
+
+  const profile = assessments[0];
+
+  const confirmDelete = (entry) => {
+    Alert.alert(
+      "Delete assessment",
+      `Remove the ${prakritiLabel(entry)} result from ${new Date(entry.when).toLocaleDateString()}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setAssessments(await deletePrakritiAssessment(entry.id));
+            } catch (err) {
+              console.warn("Failed deleting Prakriti assessment:", err);
+              Alert.alert("Error", "Could not delete the assessment. Try again.");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const startQuiz = () => navigation.navigate("PrakritiQuiz");
+
+  if (loaded && !profile) {
+    return (
+      <View style={[styles.container, { padding: 16 }]}>
+        <Text style={styles.title}>Your Prakriti</Text>
+        <Paragraph style={styles.body}>
+          Prakriti is your natural constitution — your personal balance of Vata, Pitta and Kapha.
+          Answer {PRAKRITI_QUESTIONS.questions.length} short questions to find yours. The Ayurveda
+          Bot uses it to tailor its advice to you.
+        </Paragraph>
+        <Button mode="contained" style={{ marginTop: 16 }} onPress={startQuiz}>
+          Start assessment
+        </Button>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 12 }}>
+      {profile && (
+        <>
+          <Text style={styles.title}>{prakritiLabel(profile)} Prakriti</Text>
+          <Paragraph style={styles.muted}>
+            Assessed {new Date(profile.when).toLocaleDateString()} · shared with the Ayurveda Bot
+            to personalize its answers.
+          </Paragraph>
+          <DoshaDonut scores={profile.scores} label={prakritiLabel(profile)} />
+        </>
+      )}
+
+      <Button mode="outlined" icon="refresh" style={{ marginTop: 16 }} onPress={startQuiz}>
+        Retake assessment
+      </Button>
+
+      {assessments.length > 1 && (
+        <>
+          <Text style={[styles.sectionTitle, { marginTop: 18 }]}>Over time</Text>
+          <PrakritiTrendChart assessments={assessments} width={CHART_WIDTH} />
+        </>
+      )}
+
+      <Text style={[styles.sectionTitle, { marginTop: 18 }]}>History</Text>
+      {assessments.map((a, i) => (
+        <Card key={a.id} style={{ marginTop: 8 }} onLongPress={() => confirmDelete(a)}>
+          <Card.Content>
+            <View style={styles.entryRow}>
+              <Text style={styles.entryValue}>
+                {prakritiLabel(a)}
+                {i === 0 ? " (current)" : ""}
+              </Text>
+              <Text style={styles.muted}>{new Date(a.when).toLocaleDateString()}</Text>
+            </View>
+            <Text style={styles.entryMeta}>
+              {DOSHAS.map((d) => `${DOSHA_LABELS[d]} ${a.scores[d]}%`).join(" • ")}
+            </Text>
+          </Card.Content>
+        </Card>
+      ))}
+      {assessments.length > 0 && (
+        <Paragraph style={styles.muted}>Long-press an assessment to delete it.</Paragraph>
+      )}
+
+      <Paragraph style={styles.disclaimer}>
+        A traditional self-assessment, not a medical diagnosis.
+      </Paragraph>
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  title: { fontSize: 22, fontWeight: "800", marginBottom: 4 },
+  body: { color: "#333", marginTop: 8 },
+  sectionTitle: { fontWeight: "700" },
+  muted: { color: "#666", marginTop: 8, fontSize: 12 },
+  entryRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  entryValue: { fontSize: 16, fontWeight: "700" },
+  entryMeta: { color: "#666", marginTop: 4, fontSize: 12 },
+  disclaimer: { color: "#888", marginTop: 16, fontSize: 11, textAlign: "center" },
+});
@@ -0,0 +1,191 @@
+// screens/PulseCalibrationScreen.js
+import React, { useCallback, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, Alert, Dimensions } from "react-native";
+import { Button, Card, Paragraph, SegmentedButtons } from "react-native-paper";
+import { useFocusEffect } from "@react-navigation/native";
+import BlandAltmanChart from "../components/BlandAltmanChart";
+import {
+  CALIBRATION_SOURCES,
+  CALIBRATION_SOURCE_LABELS,
+  clearCalibrationPairs,
+  computeAgreement,
+  deleteCalibrationPair,
+  loadCalibrationPairs,
+} from "../utils/calibration";
+import { shareCalibrationCsv } from "../utils/pulseExport";
+
+const CHART_WIDTH = Dimensions.get("window").width - 24;
+
+export default function PulseCalibrationScreen() {
+  const [pairs, setPairs] = useState([]);
+  const [source, setSource] = useState(CALIBRATION_SOURCES.FINAL);
+  const [exporting, setExporting] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadCalibrationPairs().then(setPairs);
+    }, [])
+  );
+
+  const agreement = computeAgreement(pairs, source);
+
+  const runExport = async () => {
+    setExporting(true);
+    try {
+      await shareCalibrationCsv(pairs);
+    } catch (err) {
+      console.warn("Failed exporting calibration data:", err);
+      Alert.alert("Export failed", err.message || "Could not export the calibration data.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const confirmDelete = (pair) => {
+    Alert.alert("Delete pair", `Remove the ${pair.reference} / ${pair.final} BPM pair?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            setPairs(await deleteCalibrationPair(pair.id));
+          } catch (err) {
+            console.warn("Failed deleting calibration pair:", err);
+            Alert.alert("Error", "Could not delete the pair. Try again.");
+          }
+        },
+      },
+    ]);
+  };
+
+  const confirmClear = () => {
+    Alert.alert("Clear calibration data", "Remove all paired readings? This cannot be undone.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Clear",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await clearCalibrationPairs();
+            setPairs([]);
+          } catch (err) {
+            console.warn("Failed clearing calibration data:", err);
+            Alert.alert("Error", "Could not clear the data. Try again.");
+          }
+        },
+      },
+    ]);
+  };
+
+  const stat = (label, value) => (
+    <View style={styles.statCell}>
+      <Text style={styles.statLabel}>{label}</Text>
+      <Text style={styles.statValue}>{value}</Text>
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 12 }}>
+      <Text style={styles.title}>Calibration</Text>
+      <Paragraph style={styles.muted}>
+        With calibration mode on, enter the reference device's BPM after each scan. Agreement
+        is computed per algorithm over the pairs where it produced a reading.
+      </Paragraph>
+
+      <SegmentedButtons
+        style={{ marginTop: 12 }}
+        value={source}
+        onValueChange={setSource}
+        buttons={Object.values(CALIBRATION_SOURCES).map((value) => ({
+          value,
+          label: CALIBRATION_SOURCE_LABELS[value],
+        }))}
+      />
+
+      {agreement ? (
+        <>
+          <View style={styles.statsRow}>
+            {stat("Pairs", agreement.n)}
+            {stat("MAE", agreement.mae)}
+            {stat("RMSE", agreement.rmse)}
+            {stat("Bias", agreement.bias)}
+          </View>
+          <Paragraph style={styles.muted}>
+            95% limits of agreement: {agreement.loa[0]} to {agreement.loa[1]} BPM (SD{" "}
+            {agreement.sd}).
+          </Paragraph>
+          <BlandAltmanChart agreement={agreement} width={CHART_WIDTH} />
+        </>
+      ) : (
+        <Paragraph style={styles.muted}>
+          At least two pairs with a {CALIBRATION_SOURCE_LABELS[source].toLowerCase()} reading are
+          needed for statistics.
+        </Paragraph>
+      )}
+
+      <View style={styles.actionsRow}>
+        <Button
+          mode="outlined"
+          icon="table"
+          loading={exporting}
+          disabled={exporting || !pairs.length}
+          onPress={runExport}
+        >
+          Export CSV
+        </Button>
+        <Button mode="text" textColor="#d9534f" disabled={!pairs.length} onPress={confirmClear}>
+          Clear all
+        </Button>
+      </View>
+
+      <Text style={[styles.sectionTitle, { marginTop: 18 }]}>Pairs</Text>
+      {pairs.length === 0 ? (
+        <Paragraph style={styles.muted}>No paired readings yet.</Paragraph>
+      ) : (
+        pairs.map((p) => (
+          <Card key={p.id} style={{ marginTop: 8 }} onLongPress={() => confirmDelete(p)}>
+            <Card.Content>
+              <View style={styles.entryRow}>
+                <Text style={styles.entryValue}>
+                  {p.reference} ref · {p.final} app
+                </Text>
+                <Text style={styles.muted}>{new Date(p.when).toLocaleString()}</Text>
+              </View>
+              <Text style={styles.entryMeta}>
+                {[
+                  p.local != null ? `on device ${p.local}` : null,
+                  p.remote != null ? `server ${p.remote}` : null,
+                  p.method,
+                  p.device,
+                ]
+                  .filter(Boolean)
+                  .join(" • ")}
+              </Text>
+            </Card.Content>
+          </Card>
+        ))
+      )}
+      {pairs.length > 0 && (
+        <Paragraph style={styles.muted}>Long-press a pair to delete it.</Paragraph>
+      )}
+
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  title: { fontSize: 22, fontWeight: "800", marginBottom: 4 },
+  sectionTitle: { fontWeight: "700" },
+  muted: { color: "#666", marginTop: 8, fontSize: 12 },
+  statsRow: { flexDirection: "row", marginTop: 12, padding: 8, backgroundColor: "#f8f5f7", borderRadius: 8 },
+  statCell: { flex: 1, alignItems: "center" },
+  statLabel: { color: "#666", fontSize: 12 },
+  statValue: { fontWeight: "700", fontSize: 18, marginTop: 4 },
+  actionsRow: { flexDirection: "row", justifyContent: "space-between", marginTop: 12 },
+  entryRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  entryValue: { fontSize: 16, fontWeight: "700" },
+  entryMeta: { color: "#666", marginTop: 4, fontSize: 12 },
+});
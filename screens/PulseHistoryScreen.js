@@ -0,0 +1,392 @@
+// screens/PulseHistoryScreen.js
+import React, { useCallback, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, Alert, Dimensions } from "react-native";
+import {
+  Button,
+  Card,
+  Chip,
+  Dialog,
+  Paragraph,
+  Portal,
+  SegmentedButtons,
+} from "react-native-paper";
+import { LineChart } from "react-native-chart-kit";
+import { useFocusEffect } from "@react-navigation/native";
+import RhythmChart from "../components/RhythmChart";
+import MeasurementContextForm from "../components/MeasurementContextForm";
+import { RHYTHM_STATUS } from "../utils/rhythm";
+import { MEASUREMENT_METHODS } from "../utils/pulseSettings";
+import {
+  CONTEXT_LABELS,
+  CONTEXT_TAGS,
+  POSTURE_LABELS,
+  RANGE_STATUS,
+  classifyBpm,
+  contextLabel,
+  getReferenceRange,
+} from "../utils/pulseContext";
+import {
+  TREND_PERIODS,
+  clearPulseHistory,
+  deletePulseMeasurement,
+  loadPulseHistory,
+  summarizeTrend,
+  updatePulseMeasurement,
+} from "../utils/pulseHistory";
+import { sharePulseCsv, sharePulseReport } from "../utils/pulseExport";
+
+const CHART_WIDTH = Dimensions.get("window").width - 24;
+
+const SOURCE_LABELS = { local: "On device", remote: "Server" };
+
+const RANGE_TEXT = {
+  [RANGE_STATUS.BELOW]: "Below",
+  [RANGE_STATUS.WITHIN]: "Within",
+  [RANGE_STATUS.ABOVE]: "Above",
+};
+
+// Filter value for readings without a tag
+const UNTAGGED = "untagged";
+
+const chartConfig = {
+  backgroundGradientFrom: "#ffffff",
+  backgroundGradientTo: "#ffffff",
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(104,75,247,${opacity})`,
+  labelColor: (opacity = 1) => `rgba(68,68,68,${opacity})`,
+  propsForDots: { r: "3" },
+};
+
+export default function PulseHistoryScreen() {
+  const [entries, setEntries] = useState([]);
+  const [period, setPeriod] = useState(TREND_PERIODS.DAILY);
+  const [editing, setEditing] = useState(null); // { id, note, context }
+  const [tagFilter, setTagFilter] = useState(null); // a CONTEXT_TAGS value, UNTAGGED or null for all
+  const [exporting, setExporting] = useState(null); // "csv" | "report" while sharing
+  const [rhythmShownFor, setRhythmShownFor] = useState(null); // entry id
+
+  useFocusEffect(
+    useCallback(() => {
+      loadPulseHistory().then(setEntries);
+    }, [])
+  );
+
+  const confirmDelete = (entry) => {
+    Alert.alert("Delete measurement", `Remove the ${entry.bpm} BPM reading from ${new Date(entry.when).toLocaleString()}?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            setEntries(await deletePulseMeasurement(entry.id));
+          } catch (err) {
+            console.warn("Failed deleting measurement:", err);
+            Alert.alert("Error", "Could not delete the measurement. Try again.");
+          }
+        },
+      },
+    ]);
+  };
+
+  const confirmClear = () => {
+    Alert.alert("Clear history", "Are you sure you want to remove all saved measurements? This cannot be undone.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Clear",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await clearPulseHistory();
+            setEntries([]);
+          } catch (err) {
+            console.warn("Failed clearing pulse history:", err);
+            Alert.alert("Error", "Could not clear history. Try again.");
+          }
+        },
+      },
+    ]);
+  };
+
+  const runExport = async (kind) => {
+    setExporting(kind);
+    try {
+      if (kind === "csv") await sharePulseCsv(entries);
+      else await sharePulseReport(entries);
+    } catch (err) {
+      console.warn("Failed exporting pulse history:", err);
+      Alert.alert("Export failed", err.message || "Could not export your measurements.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const saveDetails = async () => {
+    try {
+      setEntries(
+        await updatePulseMeasurement(editing.id, {
+          note: editing.note.trim(),
+          context: editing.context,
+        })
+      );
+    } catch (err) {
+      console.warn("Failed saving measurement details:", err);
+      Alert.alert("Error", "Could not save the details. Try again.");
+    } finally {
+      setEditing(null);
+    }
+  };
+
+  const entryTag = (e) => (e.context && e.context.tag) || UNTAGGED;
+  const usedTags = [...Object.values(CONTEXT_TAGS), UNTAGGED].filter((tag) =>
+    entries.some((e) => entryTag(e) === tag)
+  );
+  const visible = tagFilter ? entries.filter((e) => entryTag(e) === tagFilter) : entries;
+
+  const { buckets: trend, stats } = summarizeTrend(visible, period);
+
+  const renderRange = (e) => {
+    if (typeof e.bpm !== "number") return null;
+    const range = getReferenceRange(e.context);
+    const status = classifyBpm(e.bpm, range);
+    return (
+      <Text style={[styles.entryMeta, status !== RANGE_STATUS.WITHIN && styles.entryOutOfRange]}>
+        {RANGE_TEXT[status]} {range.label.toLowerCase()} range ({range.min}–{range.max})
+      </Text>
+    );
+  };
+
+  const renderTrend = () => {
+    if (trend.length < 2) {
+      return (
+        <Paragraph style={styles.muted}>
+          Not enough measurements in this period for a trend yet.
+        </Paragraph>
+      );
+    }
+    return (
+      <LineChart
+        data={{
+          labels: trend.map((b) => b.label),
+          datasets: [
+            { data: trend.map((b) => b.max), color: (o = 1) => `rgba(239,68,68,${o})` },
+            { data: trend.map((b) => b.avg), color: (o = 1) => `rgba(104,75,247,${o})` },
+            { data: trend.map((b) => b.min), color: (o = 1) => `rgba(34,197,94,${o})` },
+          ],
+          legend: ["Max", "Avg", "Min"],
+        }}
+        width={CHART_WIDTH}
+        height={200}
+        chartConfig={chartConfig}
+        fromZero={false}
+        style={{ marginTop: 8, borderRadius: 8 }}
+      />
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ padding: 12 }}>
+      <Text style={styles.title}>Pulse History</Text>
+
+      {entries.length > 0 && (
+        <View style={styles.exportRow}>
+          <Button
+            mode="outlined"
+            icon="file-document-outline"
+            loading={exporting === "report"}
+            disabled={!!exporting}
+            onPress={() => runExport("report")}
+          >
+            Doctor report
+          </Button>
+          <Button
+            mode="outlined"
+            icon="table"
+            loading={exporting === "csv"}
+            disabled={!!exporting}
+            onPress={() => runExport("csv")}
+          >
+            CSV
+          </Button>
+        </View>
+      )}
+
+      {usedTags.length > 1 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+          <Chip
+            style={styles.filterChip}
+            selected={!tagFilter}
+            onPress={() => setTagFilter(null)}
+          >
+            All
+          </Chip>
+          {usedTags.map((tag) => (
+            <Chip
+              key={tag}
+              style={styles.filterChip}
+              selected={tagFilter === tag}
+              onPress={() => setTagFilter(tagFilter === tag ? null : tag)}
+            >
+              {tag === UNTAGGED ? "Untagged" : CONTEXT_LABELS[tag]}
+            </Chip>
+          ))}
+        </ScrollView>
+      )}
+
+      <SegmentedButtons
+        value={period}
+        onValueChange={setPeriod}
+        buttons={[
+          { value: TREND_PERIODS.DAILY, label: "Daily" },
+          { value: TREND_PERIODS.WEEKLY, label: "Weekly" },
+          { value: TREND_PERIODS.MONTHLY, label: "Monthly" },
+        ]}
+      />
+
+      {renderTrend()}
+
+      {stats && (
+        <View style={styles.statsRow}>
+          <View style={styles.statCell}>
+            <Text style={styles.statLabel}>Min</Text>
+            <Text style={styles.statValue}>{stats.min}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={styles.statLabel}>Average</Text>
+            <Text style={styles.statValue}>{stats.avg}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={styles.statLabel}>Max</Text>
+            <Text style={styles.statValue}>{stats.max}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={styles.statLabel}>Readings</Text>
+            <Text style={styles.statValue}>{stats.count}</Text>
+          </View>
+        </View>
+      )}
+
+      <Text style={[styles.sectionTitle, { marginTop: 18 }]}>Measurements</Text>
+      {visible.length === 0 ? (
+        <Paragraph style={styles.muted}>
+          {entries.length ? "No measurements with this tag." : "No saved measurements yet."}
+        </Paragraph>
+      ) : (
+        visible.map((e) => (
+          <Card key={e.id} style={{ marginTop: 8 }}>
+            <Card.Content>
+              <View style={styles.entryRow}>
+                <Text style={styles.entryBpm}>{e.bpm} BPM</Text>
+                <Text style={styles.muted}>{new Date(e.when).toLocaleString()}</Text>
+              </View>
+              {e.context && e.context.tag ? (
+                <Text style={styles.entryContext}>
+                  {[contextLabel(e.context), POSTURE_LABELS[e.context.posture]]
+                    .filter(Boolean)
+                    .join(" • ")}
+                </Text>
+              ) : null}
+              <Text style={styles.entryMeta}>
+                {[
+                  e.durationSec ? `${Math.round(e.durationSec)}s` : null,
+                  e.samples ? `avg of ${e.samples.used.length} ±${e.samples.spread}` : null,
+                  e.samples && e.samples.requested > e.samples.count
+                    ? `${e.samples.count}/${e.samples.requested} read`
+                    : null,
+                  e.respiration ? `${e.respiration.rate} breaths/min` : null,
+                  SOURCE_LABELS[e.source] || e.source,
+                  e.method === MEASUREMENT_METHODS.FACE ? "Face" : null,
+                  e.quality ? `Signal ${e.quality.level}` : null,
+                ]
+                  .filter(Boolean)
+                  .join(" • ")}
+              </Text>
+              {renderRange(e)}
+              {e.rhythm && e.rhythm.status === RHYTHM_STATUS.IRREGULAR ? (
+                <Text style={styles.entryWarning}>
+                  Irregular rhythm flagged (screening only, not a diagnosis)
+                </Text>
+              ) : null}
+              {e.note ? <Text style={styles.entryNote}>{e.note}</Text> : null}
+              {rhythmShownFor === e.id && (
+                <RhythmChart intervals={e.intervals} width={CHART_WIDTH - 32} theme="light" />
+              )}
+            </Card.Content>
+            <Card.Actions>
+              {e.intervals && e.intervals.length > 1 ? (
+                <Button
+                  mode="text"
+                  onPress={() => setRhythmShownFor(rhythmShownFor === e.id ? null : e.id)}
+                >
+                  {rhythmShownFor === e.id ? "Hide rhythm" : "Rhythm"}
+                </Button>
+              ) : null}
+              <Button
+                mode="text"
+                onPress={() =>
+                  setEditing({ id: e.id, note: e.note || "", context: e.context || null })
+                }
+              >
+                Edit details
+              </Button>
+              <Button mode="text" textColor="#d9534f" onPress={() => confirmDelete(e)}>
+                Delete
+              </Button>
+            </Card.Actions>
+          </Card>
+        ))
+      )}
+
+      {entries.length > 0 && (
+        <View style={{ marginTop: 12, alignItems: "center" }}>
+          <Button mode="contained" onPress={confirmClear} style={{ backgroundColor: "#d9534f" }}>
+            Clear History
+          </Button>
+        </View>
+      )}
+
+      <Portal>
+        <Dialog visible={!!editing} onDismiss={() => setEditing(null)}>
+          <Dialog.Title>Measurement details</Dialog.Title>
+          <Dialog.Content>
+            {editing && (
+              <MeasurementContextForm
+                theme="light"
+                context={editing.context}
+                note={editing.note}
+                onChange={({ context, note }) => setEditing((prev) => ({ ...prev, context, note }))}
+              />
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setEditing(null)}>Cancel</Button>
+            <Button onPress={saveDetails}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  title: { fontSize: 22, fontWeight: "800", marginBottom: 12 },
+  sectionTitle: { fontWeight: "700" },
+  muted: { color: "#666", marginTop: 8, fontSize: 12 },
+  statsRow: { flexDirection: "row", marginTop: 12, padding: 8, backgroundColor: "#f8f5f7", borderRadius: 8 },
+  statCell: { flex: 1, alignItems: "center" },
+  statLabel: { color: "#666", fontSize: 12 },
+  statValue: { fontWeight: "700", fontSize: 18, marginTop: 4 },
+  entryRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  entryBpm: { fontSize: 18, fontWeight: "700" },
+  entryMeta: { color: "#666", marginTop: 4, fontSize: 12 },
+  entryWarning: { marginTop: 6, color: "#b45309", fontWeight: "600", fontSize: 12 },
+  entryContext: { marginTop: 4, color: "#684bf7", fontWeight: "600", fontSize: 12 },
+  entryOutOfRange: { color: "#b45309" },
+  exportRow: { flexDirection: "row", justifyContent: "space-between", marginBottom: 12 },
+  filterRow: { marginBottom: 10 },
+  filterChip: { marginRight: 6 },
+  entryNote: { marginTop: 6, color: "#333", fontStyle: "italic" },
+});
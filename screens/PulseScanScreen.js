@@ -1,5 +1,5 @@
 // screens/PulseScanScreen.js
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import {
   View,
   Text,
@@ -7,23 +7,309 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
+  Dimensions,
+  ScrollView,
+  TextInput,
 } from "react-native";
 import { CameraView, useCameraPermissions } from "expo-camera";
+import PpgWaveformChart from "../components/PpgWaveformChart";
+import RhythmChart from "../components/RhythmChart";
+import MeasurementContextForm from "../components/MeasurementContextForm";
+import ProgressRing from "../components/ProgressRing";
+import {
+  PPG_MAX_BPM,
+  PPG_MIN_BPM,
+  analyzePpgFrames,
+  analyzeRppgFrames,
+  canAnalyzeFrames,
+  compactWaveform,
+  extractWaveform,
+  liveBeatTimes,
+  previewWaveform,
+} from "../utils/ppg";
+import { extractClipFrames, sampleFrames } from "../utils/frameSampler";
+import {
+  QUALITY_LEVELS,
+  assessFaceSignalQuality,
+  assessSignalQuality,
+  summarizeScanQuality,
+} from "../utils/signalQuality";
+import { HRV_CONFIDENCE, computeHrv, extractFrameRate, extractIntervals } from "../utils/hrv";
+import {
+  addPulseMeasurement,
+  loadPulseHistory,
+  updatePulseMeasurement,
+} from "../utils/pulseHistory";
+import { sharePulseReport } from "../utils/pulseExport";
+import { addCalibrationPair } from "../utils/calibration";
+import { pulseAttachment } from "../utils/chatAttachments";
+import { newThreadId } from "../utils/chatThreads";
+import { RANGE_STATUS, classifyBpm, getReferenceRange } from "../utils/pulseContext";
+import { averageMeasurements } from "../utils/pulseAveraging";
+import { MIN_RESPIRATION_SEC, estimateRespiration } from "../utils/respiration";
+import { RHYTHM_STATUS, assessRhythm } from "../utils/rhythm";
+import { useBeatFeedback } from "../utils/beatFeedback";
+import { derivePulseCharacteristics, doshaInfo, interpretPulse } from "../utils/nadi";
+import { DOSHAS, DOSHA_COLORS } from "../utils/doshas";
+import {
+  ANALYSIS_MODES,
+  MEASUREMENT_METHODS,
+  POOR_SIGNAL_ACTIONS,
+  usePulseSettings,
+} from "../utils/pulseSettings";
 
 // 🔗 CHANGE THIS TO YOUR RENDER URL
 const API_URL = "https://hrmppgbackend.onrender.com/analyze_ppg_video";
 
-// Seconds to record
-const RECORD_DURATION = 8;
+// Poor signal for this long (ms) stops the clip; it is then restarted at most MAX_AUTO_RESTARTS times
+const POOR_SIGNAL_TIMEOUT_MS = 2500;
+const MAX_AUTO_RESTARTS = 2;
+const RESTART_DELAY_MS = 1500;
+const CONTEXT_SAVE_DELAY_MS = 600;
+const COUNTDOWN_FROM = 3;
+// Live peaks closer than one max-BPM period to the last announced beat are the same beat
+const MIN_BEAT_GAP_MS = 60000 / PPG_MAX_BPM;
+
+// Card width inside the overlay (overlay padding 20 + card padding 18 on each side)
+const CHART_WIDTH = Dimensions.get("window").width - 76;
+
+// Face method: guide oval as fractions of the camera preview, and the sampled
+// region (the oval's bounding box) with its skin patches (forehead and both
+// cheeks) as fractions of that region
+const FACE_GUIDE = { top: 0.08, height: 0.36, width: 0.6 };
+const FACE_REGION = {
+  x: (1 - FACE_GUIDE.width) / 2,
+  y: FACE_GUIDE.top,
+  width: FACE_GUIDE.width,
+  height: FACE_GUIDE.height,
+  patches: [
+    { x: 0.35, y: 0.12, width: 0.3, height: 0.12 },
+    { x: 0.2, y: 0.5, width: 0.2, height: 0.15 },
+    { x: 0.6, y: 0.5, width: 0.2, height: 0.15 },
+  ],
+};
+
+const CONFIDENCE_COLORS = {
+  [HRV_CONFIDENCE.HIGH]: "#22c55e",
+  [HRV_CONFIDENCE.MEDIUM]: "#fbbf24",
+  [HRV_CONFIDENCE.LOW]: "#f97373",
+};
+
+const QUALITY_COLORS = {
+  [QUALITY_LEVELS.GOOD]: "#22c55e",
+  [QUALITY_LEVELS.FAIR]: "#fbbf24",
+  [QUALITY_LEVELS.POOR]: "#f97373",
+};
+
+const RANGE_COLORS = {
+  [RANGE_STATUS.BELOW]: "#fbbf24",
+  [RANGE_STATUS.WITHIN]: "#4ade80",
+  [RANGE_STATUS.ABOVE]: "#fbbf24",
+};
+
+const RANGE_TEXT = {
+  [RANGE_STATUS.BELOW]: "below range",
+  [RANGE_STATUS.WITHIN]: "within range",
+  [RANGE_STATUS.ABOVE]: "above range",
+};
 
-export default function PulseScanScreen() {
+// Best first, for picking one respiration estimate out of several captures
+const QUALITY_RANK = [QUALITY_LEVELS.GOOD, QUALITY_LEVELS.FAIR, QUALITY_LEVELS.POOR];
+
+const RHYTHM_LABELS = {
+  [RHYTHM_STATUS.REGULAR]: "Regular",
+  [RHYTHM_STATUS.IRREGULAR]: "Irregular",
+  [RHYTHM_STATUS.INSUFFICIENT]: "Not enough beats",
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs one analysis path; failures are captured so the other path can still report
+async function settle(fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    console.warn("Analysis failed:", e);
+    return { error: e.message || "Analysis failed" };
+  }
+}
+
+export default function PulseScanScreen({ navigation }) {
   const cameraRef = useRef(null);
   const [permission, requestPermission] = useCameraPermissions();
+  const [settings, updateSettings] = usePulseSettings();
 
   const [isRecording, setIsRecording] = useState(false);
-  const [isUploading, setIsUploading] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [bpm, setBpm] = useState(null);
+  const [results, setResults] = useState(null); // { local, remote }, each { bpm, ... } or { error }
+  // Each algorithm's BPM averaged over the same captures as the reported one, or null
+  const [sourceBpms, setSourceBpms] = useState(null); // { local, remote }
   const [error, setError] = useState(null);
+  const [quality, setQuality] = useState(null); // latest assessSignalQuality() verdict
+  const [restartNotice, setRestartNotice] = useState(null);
+  const [liveWaveform, setLiveWaveform] = useState([]);
+  const [hrv, setHrv] = useState(null);
+  const [showDetails, setShowDetails] = useState(false);
+  const [sampleProgress, setSampleProgress] = useState(null); // { current, total } in averaging mode
+  const [averaged, setAveraged] = useState(null); // averageMeasurements() result
+  const [respiration, setRespiration] = useState(null); // estimateRespiration() result
+  const [rhythm, setRhythm] = useState(null); // assessRhythm() result
+  const [nadi, setNadi] = useState(null); // interpretPulse() result
+  const [beatIntervals, setBeatIntervals] = useState([]);
+  const [savedEntryId, setSavedEntryId] = useState(null);
+  const [measurementContext, setMeasurementContext] = useState(null); // { tag, customTag, posture }
+  const [note, setNote] = useState("");
+  const [referenceBpm, setReferenceBpm] = useState("");
+  const [referenceDevice, setReferenceDevice] = useState("");
+  const [calibrationSaved, setCalibrationSaved] = useState(null); // the stored pair
+  const pendingContextSave = useRef(null); // debounced context save not yet written
+
+  const [previewAspect, setPreviewAspect] = useState(null);
+  const [countdown, setCountdown] = useState(null); // seconds left before recording starts
+  const [clipStartedAt, setClipStartedAt] = useState(null); // Date.now() of the running capture
+  const [decodingClip, setDecodingClip] = useState(false); // reading frames back from a recording
+  const [now, setNow] = useState(Date.now());
+
+  const playBeat = useBeatFeedback({ sound: settings.beatSound, haptics: settings.beatHaptics });
+
+  // The server only understands fingertip clips, so the face method is always on-device
+  const isFace = settings.measurementMethod === MEASUREMENT_METHODS.FACE;
+  const useLocal = isFace || settings.analysisMode !== ANALYSIS_MODES.REMOTE;
+  const useRemote = !isFace && settings.analysisMode !== ANALYSIS_MODES.LOCAL;
+  // Seconds per capture (HRV mode uses its own, longer duration)
+  const scanDuration = settings.hrvMode ? settings.hrvDuration : settings.scanDuration;
+  const sampleCount = settings.averagingMode ? settings.sampleCount : 1;
+
+  // Records one clip while watching live signal quality; stops early if it stays poor
+  const recordClip = async (camera) => {
+    const controller = new AbortController();
+    let abortReason = null;
+    let poorSince = null;
+    let assessed = 0;
+    let good = 0;
+    let lastBeatAt = -Infinity;
+    setQuality(null);
+    setLiveWaveform([]);
+    setClipStartedAt(Date.now());
+
+    const handleFrame = (frame, frames) => {
+      const q = isFace ? assessFaceSignalQuality(frames) : assessSignalQuality(frames);
+      setQuality(q);
+      const waveform = previewWaveform(frames, { face: isFace });
+      setLiveWaveform(waveform);
+      if (q.ok) {
+        const beats = liveBeatTimes(frames, { face: isFace, waveform }).filter(
+          (t) => t > lastBeatAt + MIN_BEAT_GAP_MS
+        );
+        if (beats.length) {
+          lastBeatAt = beats[beats.length - 1];
+          // A beat-synced vibration under the fingertip would feed back into the
+          // signal being measured, so finger scans only tick
+          playBeat({ vibrate: isFace });
+        }
+      }
+      if (!q.pending) assessed += 1;
+      if (q.ok || q.pending) {
+        if (q.ok) good += 1;
+        poorSince = null;
+        return;
+      }
+      if (poorSince === null) poorSince = frame.t;
+      if (frame.t - poorSince >= POOR_SIGNAL_TIMEOUT_MS && !controller.signal.aborted) {
+        abortReason = q.message;
+        controller.abort();
+        if (useRemote) camera.stopRecording();
+      }
+    };
+
+    // Frames are always sampled: they feed the quality monitor even when only the server analyzes
+    const recordStartedAt = Date.now();
+    const [video, frames] = await Promise.all([
+      useRemote
+        ? camera
+            .recordAsync({
+              maxDuration: scanDuration,
+              quality: "480p",
+              mute: true,
+            })
+            .then((v) => v && { ...v, durationMs: Date.now() - recordStartedAt })
+        : null,
+      sampleFrames(camera, {
+        durationMs: scanDuration * 1000,
+        onFrame: handleFrame,
+        signal: controller.signal,
+        region: isFace ? { ...FACE_REGION, previewAspect } : null,
+      }),
+    ]);
+    setClipStartedAt(null);
+
+    return { video, frames, abortReason, good, assessed };
+  };
+
+  // Records a clip, restarting it when the live signal stays poor (if settings allow)
+  const recordUsableClip = async (camera) => {
+    let clip = await recordClip(camera);
+    let restarts = 0;
+    while (clip.abortReason) {
+      if (
+        settings.poorSignalAction !== POOR_SIGNAL_ACTIONS.RESTART ||
+        restarts >= MAX_AUTO_RESTARTS
+      ) {
+        throw new Error(`Scan stopped: ${clip.abortReason}`);
+      }
+      restarts += 1;
+      setRestartNotice(
+        `${clip.abortReason}. Restarting (${restarts}/${MAX_AUTO_RESTARTS})…`
+      );
+      await wait(RESTART_DELAY_MS);
+      setRestartNotice(null);
+      clip = await recordClip(camera);
+    }
+    return clip;
+  };
+
+  /*
+    Runs the enabled analysis paths on one clip; primary is the reading to report.
+    The on-device path uses the live stills. Only when a device took too few
+    of them while recording is the recorded video decoded instead, and a
+    failure to do so is reported rather than falling back silently.
+  */
+  const analyzeClip = async ({ video, frames: stills }) => {
+    let frames = stills;
+    let decodeError = null;
+    if (useLocal && video && video.uri && !canAnalyzeFrames(stills)) {
+      setDecodingClip(true);
+      try {
+        frames = await extractClipFrames(video.uri, { durationMs: video.durationMs });
+      } catch (err) {
+        console.warn("Failed decoding clip:", err);
+        decodeError = err;
+      } finally {
+        setDecodingClip(false);
+      }
+    }
+    const [local, remote] = await Promise.all([
+      useLocal
+        ? settle(async () => {
+            if (decodeError) {
+              throw new Error(`Too few camera frames while recording. ${decodeError.message}`);
+            }
+            return isFace ? analyzeRppgFrames(frames) : analyzePpgFrames(frames);
+          })
+        : null,
+      useRemote ? settle(() => uploadVideo(video && video.uri)) : null,
+    ]);
+    // Prefer the server reading when both succeed; the local one is shown alongside
+    const primary = [remote, local].find((r) => r && r.bpm != null) || null;
+    // Breathing comes from the on-device fingertip signal and needs a long enough capture
+    const respiration =
+      !isFace && local && local.bpm != null ? estimateRespiration(frames, local) : null;
+    // Pulse shape for the Nadi reading; CHROM face signals don't keep a usable shape
+    const characteristics =
+      !isFace && local && local.bpm != null ? derivePulseCharacteristics(frames, local) : null;
+    return { local, remote, primary, respiration, characteristics };
+  };
 
   const handleStartScan = async () => {
     if (!permission || !permission.granted) {
@@ -42,76 +328,489 @@ export default function PulseScanScreen() {
       return;
     }
 
+    const camera = cameraRef.current;
+
     setError(null);
     setBpm(null);
+    setResults(null);
+    setSourceBpms(null);
+    setHrv(null);
+    setAveraged(null);
+    setRespiration(null);
+    setRhythm(null);
+    setNadi(null);
+    setBeatIntervals([]);
+    setSavedEntryId(null);
+    setReferenceBpm("");
+    setCalibrationSaved(null);
+    setMeasurementContext(null);
+    setNote("");
+    setShowDetails(false);
+    setRestartNotice(null);
     setIsRecording(true);
 
     try {
-      // Record a short video (no audio needed)
-      const video = await cameraRef.current.recordAsync({
-        maxDuration: RECORD_DURATION,
-        quality: "480p",
-        mute: true,
-      });
+      // Lets the user settle (finger on the lens, torch already on) before capturing
+      for (let n = COUNTDOWN_FROM; n > 0; n--) {
+        setCountdown(n);
+        playBeat();
+        await wait(1000);
+      }
+      setCountdown(null);
+
+      const clips = [];
+      for (let i = 1; i <= sampleCount; i++) {
+        setSampleProgress(sampleCount > 1 ? { current: i, total: sampleCount } : null);
+        clips.push(await recordUsableClip(camera));
+      }
 
       setIsRecording(false);
+      setIsAnalyzing(true);
 
-      if (!video || !video.uri) {
-        throw new Error("No video captured.");
+      // One at a time so several uploads don't compete for bandwidth
+      const analyses = [];
+      for (let i = 0; i < clips.length; i++) {
+        setSampleProgress(sampleCount > 1 ? { current: i + 1, total: sampleCount } : null);
+        analyses.push(await analyzeClip(clips[i]));
       }
 
-      // Upload to backend
-      await uploadVideo(video.uri);
+      setIsAnalyzing(false);
+      setSampleProgress(null);
+
+      const successful = analyses.filter((a) => a.primary);
+      if (!successful.length) {
+        const { local, remote } = analyses[0];
+        const msg = [local && local.error, remote && remote.error]
+          .filter(Boolean)
+          .join("\n");
+        throw new Error(msg || "Unable to calculate heart rate");
+      }
+
+      const latest = successful[successful.length - 1];
+      setResults({ local: latest.local, remote: latest.remote });
+
+      // count: captures that gave a reading, out of the requested ones
+      const average =
+        sampleCount > 1
+          ? {
+              ...averageMeasurements(successful.map((a) => a.primary.bpm)),
+              count: successful.length,
+              requested: sampleCount,
+            }
+          : null;
+      const finalBpm = average ? average.bpm : latest.primary.bpm;
+      // For calibration: an algorithm counts only if it read every capture the final did
+      const sourceBpm = (key) => {
+        const readings = successful.map((a) => a[key] && a[key].bpm);
+        return readings.every((v) => typeof v === "number")
+          ? averageMeasurements(readings).bpm
+          : null;
+      };
+
+      // Beats from every capture pool into one HRV and rhythm estimate, kept
+      // per capture so the joins don't count as successive beats
+      const intervalSources = successful.map(
+        ({ primary, local, remote }) =>
+          [primary, remote, local].find((r) => extractIntervals(r).length) || null
+      );
+      const captureIntervals = intervalSources.map(extractIntervals);
+      const intervals = captureIntervals.flat();
+      const frameRates = intervalSources.map(extractFrameRate).filter((r) => r !== null);
+      const hrvResult = computeHrv(captureIntervals, {
+        frameRate: frameRates.length ? Math.min(...frameRates) : null,
+      });
+      const rhythmResult = assessRhythm(captureIntervals);
+
+      const respirationResult =
+        successful
+          .map((a) => a.respiration)
+          .filter(Boolean)
+          .sort((a, b) => QUALITY_RANK.indexOf(a.quality) - QUALITY_RANK.indexOf(b.quality))[0] ||
+        null;
+
+      const characteristics = [...successful]
+        .reverse()
+        .map((a) => a.characteristics)
+        .find(Boolean);
+      const nadiResult = characteristics
+        ? interpretPulse({ ...characteristics, rate: finalBpm })
+        : null;
+
+      setBpm(finalBpm);
+      setSourceBpms({ local: sourceBpm("local"), remote: sourceBpm("remote") });
+      setAveraged(average);
+      setNadi(nadiResult);
+      setHrv(hrvResult);
+      setRespiration(respirationResult);
+      setRhythm(rhythmResult);
+      setBeatIntervals(intervals);
+
+      const entry = await addPulseMeasurement({
+        bpm: finalBpm,
+        source: latest.primary === latest.remote ? ANALYSIS_MODES.REMOTE : ANALYSIS_MODES.LOCAL,
+        method: settings.measurementMethod,
+        durationSec: successful.reduce(
+          (sum, a) => sum + ((a.local && a.local.durationSec) || scanDuration),
+          0
+        ),
+        quality: summarizeScanQuality(
+          clips.reduce((sum, c) => sum + c.good, 0),
+          clips.reduce((sum, c) => sum + c.assessed, 0)
+        ),
+        hrv: hrvResult,
+        respiration: respirationResult,
+        rhythm: rhythmResult,
+        nadi: nadiResult,
+        intervals: intervals.map(Math.round),
+        comparison:
+          sampleCount === 1 && latest.local && latest.remote
+            ? { local: latest.local.bpm ?? null, remote: latest.remote.bpm ?? null }
+            : null,
+        samples: average,
+        // Downsampled waveform of the last capture, for shared reports
+        trace: compactWaveform(
+          extractWaveform(latest.remote) || extractWaveform(latest.local)
+        ),
+        context: measurementContext,
+        note,
+      });
+      setSavedEntryId(entry.id);
+      Alert.alert(
+        "Measurement complete",
+        average
+          ? `Your heart rate is ${finalBpm} ± ${average.spread} BPM (average of ${average.used.length}; ${average.count} of ${average.requested} measurements gave a reading)`
+          : `Your heart rate is ${finalBpm} BPM`
+      );
     } catch (e) {
-      console.error("Recording error:", e);
+      console.error("Scan error:", e);
+      setCountdown(null);
+      setClipStartedAt(null);
       setIsRecording(false);
-      setIsUploading(false);
+      setRestartNotice(null);
+      setSampleProgress(null);
+      setIsAnalyzing(false);
       setError(e.message || "Recording failed");
       Alert.alert("Error", e.message || "Recording failed");
     }
   };
 
-  const uploadVideo = async (uri) => {
+  const handleSaveCalibration = async () => {
+    const reference = parseInt(referenceBpm, 10);
+    if (!(reference >= PPG_MIN_BPM && reference <= PPG_MAX_BPM)) {
+      Alert.alert("Check the value", `Enter the reference BPM (${PPG_MIN_BPM}–${PPG_MAX_BPM}).`);
+      return;
+    }
     try {
-      setIsUploading(true);
+      setCalibrationSaved(
+        await addCalibrationPair({
+          reference,
+          final: bpm,
+          local: sourceBpms ? sourceBpms.local : null,
+          remote: sourceBpms ? sourceBpms.remote : null,
+          method: settings.measurementMethod,
+          durationSec: scanDuration * sampleCount,
+          device: referenceDevice.trim() || null,
+          entryId: savedEntryId,
+        })
+      );
+    } catch (err) {
+      console.warn("Failed saving calibration pair:", err);
+      Alert.alert("Error", "Could not save the calibration pair. Try again.");
+    }
+  };
+
+  const handleShareReport = async () => {
+    try {
+      await sharePulseReport(await loadPulseHistory());
+    } catch (err) {
+      console.warn("Failed sharing pulse report:", err);
+      Alert.alert("Export failed", err.message || "Could not create the report.");
+    }
+  };
 
-      console.log("Uploading video:", uri);
+  // Drives the progress ring while a capture runs
+  useEffect(() => {
+    if (!clipStartedAt) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [clipStartedAt]);
 
-      const formData = new FormData();
-      formData.append("file", {
-        uri,
-        name: "ppg_clip.mp4",
-        type: "video/mp4",
-      });
+  // Tags are picked after the reading is saved, so edits update the stored
+  // entry once typing pauses
+  useEffect(() => {
+    if (!savedEntryId) return undefined;
+    const save = () => {
+      pendingContextSave.current = null;
+      updatePulseMeasurement(savedEntryId, {
+        context: measurementContext,
+        note: note.trim(),
+      }).catch((err) => console.warn("Failed saving measurement context:", err));
+    };
+    pendingContextSave.current = save;
+    const timer = setTimeout(save, CONTEXT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [savedEntryId, measurementContext, note]);
 
-      const response = await fetch(API_URL, {
-        method: "POST",
-        headers: {
-          "Accept": "application/json",
-        },
-        body: formData,
-      });
+  // An edit still waiting when another reading is saved or the screen closes
+  // is written right away instead of dropped
+  useEffect(() => () => pendingContextSave.current?.(), [savedEntryId]);
 
-      const data = await response.json();
-      console.log("Backend response:", response.status, data);
+  const uploadVideo = async (uri) => {
+    if (!uri) {
+      throw new Error("No video captured.");
+    }
 
-      if (!response.ok) {
-        const msg = data.detail || "Unable to calculate heart rate";
-        throw new Error(msg);
-      }
+    console.log("Uploading video:", uri);
 
-      setBpm(data.bpm);
-      setIsUploading(false);
+    const formData = new FormData();
+    formData.append("file", {
+      uri,
+      name: "ppg_clip.mp4",
+      type: "video/mp4",
+    });
 
-      Alert.alert("Measurement complete", `Your heart rate is ${data.bpm} BPM`);
-    } catch (e) {
-      console.error("Upload / analysis error:", e);
-      setIsUploading(false);
-      setError(e.message || "Failed to analyze video");
-      Alert.alert("Error", e.message || "Failed to analyze video");
+    const response = await fetch(API_URL, {
+      method: "POST",
+      headers: {
+        "Accept": "application/json",
+      },
+      body: formData,
+    });
+
+    const data = await response.json();
+    console.log("Backend response:", response.status, data);
+
+    if (!response.ok) {
+      const msg = data.detail || "Unable to calculate heart rate";
+      throw new Error(msg);
     }
+
+    return data;
+  };
+
+  const renderSourceResult = (label, r) => (
+    <View style={styles.compareCell}>
+      <Text style={styles.compareLabel}>{label}</Text>
+      {r && r.bpm != null ? (
+        <Text style={styles.compareBpm}>{r.bpm} BPM</Text>
+      ) : (
+        <Text style={styles.compareError}>{(r && r.error) || "—"}</Text>
+      )}
+    </View>
+  );
+
+  const renderDetailRow = (label, value, color) => (
+    <View style={styles.detailRow} key={label}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={[styles.detailValue, color && { color }]}>{value}</Text>
+    </View>
+  );
+
+  const renderDetails = () => (
+    <View style={styles.detailsBox}>
+      {hrv ? (
+        <>
+          {renderDetailRow("Mean IBI", `${hrv.meanIbi} ms`)}
+          {renderDetailRow("SDNN", `${hrv.sdnn} ms`)}
+          {renderDetailRow("RMSSD", `${hrv.rmssd} ms`)}
+          {renderDetailRow("pNN50", `${hrv.pnn50}%`)}
+          {renderDetailRow("Beats", String(hrv.beatCount))}
+          {renderDetailRow(
+            "HRV confidence",
+            hrv.confidence.toUpperCase(),
+            CONFIDENCE_COLORS[hrv.confidence]
+          )}
+          {hrv.confidence !== HRV_CONFIDENCE.HIGH && !settings.hrvMode && (
+            <Text style={styles.statusSubtext}>
+              Turn on HRV mode in settings for a longer, more reliable scan.
+            </Text>
+          )}
+        </>
+      ) : (
+        <Text style={styles.statusSubtext}>
+          Not enough clean beats were detected to compute HRV.
+        </Text>
+      )}
+      {rhythm &&
+        renderDetailRow(
+          "Rhythm",
+          RHYTHM_LABELS[rhythm.status],
+          rhythm.status === RHYTHM_STATUS.IRREGULAR ? "#fbbf24" : undefined
+        )}
+      {rhythm && rhythm.status === RHYTHM_STATUS.REGULAR && (
+        <RhythmChart intervals={beatIntervals} width={CHART_WIDTH - 26} />
+      )}
+      {rhythm && rhythm.status === RHYTHM_STATUS.INSUFFICIENT && (
+        <Text style={styles.statusSubtext}>
+          A rhythm check needs a longer scan (about 30 seconds).
+        </Text>
+      )}
+      {!respiration && !useLocal && (
+        <Text style={styles.statusSubtext}>
+          Breathing rate is measured on the device; choose On device or Both in settings to see it.
+        </Text>
+      )}
+      {!respiration && useLocal && !isFace && scanDuration < MIN_RESPIRATION_SEC && (
+        <Text style={styles.statusSubtext}>
+          Scan for {MIN_RESPIRATION_SEC}s or longer to also measure your breathing rate.
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderRecordingRing = () => {
+    const elapsedSec = clipStartedAt ? (now - clipStartedAt) / 1000 : 0;
+    const remaining = Math.max(0, Math.ceil(scanDuration - elapsedSec));
+    return (
+      <View style={styles.ringWrapper}>
+        <ProgressRing progress={elapsedSec / scanDuration} color="#ef4444">
+          <Text style={styles.ringValue}>{remaining}s</Text>
+          <Text style={styles.recordingText}>Recording</Text>
+        </ProgressRing>
+      </View>
+    );
+  };
+
+  const renderCalibration = () => (
+    <View style={styles.calibrationBox}>
+      <Text style={styles.calibrationTitle}>Calibration</Text>
+      {calibrationSaved ? (
+        <>
+          <Text style={styles.statusSubtext}>
+            Saved: reference {calibrationSaved.reference} BPM, app {calibrationSaved.final} BPM (
+            {calibrationSaved.final - calibrationSaved.reference >= 0 ? "+" : ""}
+            {calibrationSaved.final - calibrationSaved.reference})
+          </Text>
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => navigation.navigate("PulseCalibration")}
+          >
+            <Text style={styles.linkText}>View calibration statistics</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <View style={styles.calibrationRow}>
+            <TextInput
+              style={[styles.calibrationInput, { flex: 1 }]}
+              placeholder="Reference BPM"
+              placeholderTextColor="#6b7280"
+              keyboardType="number-pad"
+              maxLength={3}
+              value={referenceBpm}
+              onChangeText={setReferenceBpm}
+            />
+            <TextInput
+              style={[styles.calibrationInput, { flex: 2, marginLeft: 8 }]}
+              placeholder="Device (optional)"
+              placeholderTextColor="#6b7280"
+              value={referenceDevice}
+              onChangeText={setReferenceDevice}
+            />
+          </View>
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleSaveCalibration}>
+            <Text style={styles.secondaryButtonText}>Save pair</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+
+  const renderNadi = () => {
+    if (!nadi) {
+      return isFace ? (
+        <Text style={styles.statusSubtext}>
+          The Ayurvedic pulse reading needs the fingertip method.
+        </Text>
+      ) : null;
+    }
+    const primary = doshaInfo(nadi.dominant[0]);
+    return (
+      <View style={styles.nadiBox}>
+        <Text style={styles.nadiTitle}>Ayurvedic pulse reading (Nadi)</Text>
+        <Text style={styles.nadiDominant}>
+          {nadi.dominant.map((d) => doshaInfo(d).label).join("-")} pulse
+        </Text>
+        <Text style={styles.statusSubtext}>
+          {primary.gati}. {primary.description}
+        </Text>
+        {DOSHAS.map((d) => (
+          <View style={styles.nadiRow} key={d}>
+            <Text style={styles.nadiLabel}>{doshaInfo(d).label}</Text>
+            <View style={styles.nadiTrack}>
+              <View
+                style={[
+                  styles.nadiFill,
+                  { width: `${nadi.scores[d]}%`, backgroundColor: DOSHA_COLORS[d] },
+                ]}
+              />
+            </View>
+            <Text style={styles.nadiValue}>{nadi.scores[d]}%</Text>
+          </View>
+        ))}
+        <Text style={styles.statusSubtext}>
+          {nadi.traits.map((t) => `${t.label}: ${t.level}`).join(" · ")}
+        </Text>
+        <Text style={styles.nadiDisclaimer}>
+          A traditional interpretation of your camera pulse, not a medical assessment.
+        </Text>
+      </View>
+    );
+  };
+
+  const renderReferenceRange = () => {
+    const range = getReferenceRange(measurementContext);
+    const status = classifyBpm(bpm, range);
+    return (
+      <>
+        <Text style={styles.statusSubtext}>
+          {range.label} range {range.min}–{range.max} BPM ·{" "}
+          <Text style={{ color: RANGE_COLORS[status] }}>{RANGE_TEXT[status]}</Text>
+        </Text>
+        <Text style={styles.statusSubtext}>
+          {measurementContext && measurementContext.tag
+            ? range.note
+            : "Tag this reading below to compare it with the right range."}
+        </Text>
+      </>
+    );
   };
 
+  const renderMethodSwitch = () => (
+    <View style={styles.methodSection}>
+      <View style={styles.methodSwitch}>
+        {[
+          { value: MEASUREMENT_METHODS.FINGER, label: "Fingertip" },
+          { value: MEASUREMENT_METHODS.FACE, label: "Face" },
+        ].map((o) => (
+          <TouchableOpacity
+            key={o.value}
+            style={[
+              styles.methodOption,
+              settings.measurementMethod === o.value && styles.methodOptionActive,
+            ]}
+            onPress={() => updateSettings({ measurementMethod: o.value })}
+          >
+            <Text
+              style={[
+                styles.methodOptionText,
+                settings.measurementMethod === o.value && styles.methodOptionTextActive,
+              ]}
+            >
+              {o.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TouchableOpacity
+        onPress={() => navigation.navigate(isFace ? "FaceScanInstructions" : "Instructions")}
+      >
+        <Text style={styles.linkText}>How does this work?</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
   const renderPermission = () => {
     if (!permission) {
       return <View style={styles.fullScreenDark} />;
@@ -151,6 +850,10 @@ export default function PulseScanScreen() {
     return null;
   };
 
+  // Server waveform when it sends one, otherwise the on-device extraction
+  const resultWaveform =
+    results && (extractWaveform(results.remote) || extractWaveform(results.local));
+
   const permissionView = renderPermission();
   if (permissionView) {
     return permissionView;
@@ -158,90 +861,254 @@ export default function PulseScanScreen() {
 
   return (
     <View style={styles.container}>
-      <View style={styles.cameraWrapper}>
+      <View
+        style={styles.cameraWrapper}
+        onLayout={(e) => {
+          const { width, height } = e.nativeEvent.layout;
+          if (height) setPreviewAspect(width / height);
+        }}
+      >
         <CameraView
           ref={cameraRef}
           style={styles.camera}
-          facing="back"
-          mode="video"
-          enableTorch={isRecording} // turn flash on while recording
+          facing={isFace ? "front" : "back"}
+          mode={useRemote ? "video" : "picture"}
+          enableTorch={isRecording && !isFace} // turn flash on while recording
         />
+        {isFace && (
+          <View pointerEvents="none" style={styles.faceGuide} />
+        )}
       </View>
 
       <View style={styles.overlay}>
-        <Text style={styles.title}>Pulse Scanner</Text>
-        <Text style={styles.subtitle}>
-          Place your fingertip over the rear camera and flash.
-        </Text>
+        <ScrollView>
+          <Text style={styles.title}>Pulse Scanner</Text>
+          <Text style={styles.subtitle}>
+            {isFace
+              ? "Fit your face inside the oval and keep still."
+              : "Place your fingertip over the rear camera and flash."}
+          </Text>
 
-        <View style={styles.card}>
-          {isRecording && (
-            <>
-              <View style={styles.recordingIndicator}>
-                <View style={styles.recordingDot} />
-                <Text style={styles.recordingText}>
-                  Recording {RECORD_DURATION}s…
+          <View style={styles.card}>
+            {isRecording && (
+              <>
+                {sampleProgress && (
+                  <Text style={styles.progressText}>
+                    Measurement {sampleProgress.current} of {sampleProgress.total}
+                  </Text>
+                )}
+                {countdown !== null ? (
+                  <View style={styles.ringWrapper}>
+                    <ProgressRing progress={(COUNTDOWN_FROM - countdown) / COUNTDOWN_FROM}>
+                      <Text style={styles.ringValue}>{countdown}</Text>
+                      <Text style={styles.ringLabel}>Get ready</Text>
+                    </ProgressRing>
+                  </View>
+                ) : (
+                  renderRecordingRing()
+                )}
+                {restartNotice ? (
+                  <Text style={styles.warningText}>{restartNotice}</Text>
+                ) : quality && quality.ok === false ? (
+                  <Text style={styles.warningText}>{quality.message}</Text>
+                ) : quality && quality.ok ? (
+                  <Text style={styles.goodText}>Signal looks good</Text>
+                ) : null}
+                <PpgWaveformChart waveform={liveWaveform} width={CHART_WIDTH} height={90} />
+                <Text style={styles.statusSubtext}>
+                  {isFace
+                    ? "Keep your head still and the light on your face steady."
+                    : "Keep your finger steady covering camera and flash."}
                 </Text>
-              </View>
-              <Text style={styles.statusSubtext}>
-                Keep your finger steady covering camera and flash.
-              </Text>
-            </>
-          )}
+              </>
+            )}
 
-          {isUploading && !isRecording && (
-            <>
-              <ActivityIndicator size="large" color="#3b82f6" />
-              <Text style={styles.statusText}>Analyzing your pulse…</Text>
-              <Text style={styles.statusSubtext}>
-                This usually takes just a few seconds.
-              </Text>
-            </>
-          )}
+            {isAnalyzing && !isRecording && (
+              <>
+                <ActivityIndicator size="large" color="#3b82f6" />
+                <Text style={styles.statusText}>
+                  {sampleProgress
+                    ? `Analyzing measurement ${sampleProgress.current} of ${sampleProgress.total}…`
+                    : "Analyzing your pulse…"}
+                </Text>
+                <Text style={styles.statusSubtext}>
+                  {decodingClip
+                    ? "Reading frames back from the recording — this can take a minute."
+                    : "This usually takes just a few seconds."}
+                </Text>
+              </>
+            )}
+
+            {!isRecording && !isAnalyzing && bpm !== null && (
+              <>
+                <Text style={styles.resultLabel}>Heart Rate</Text>
+                <Text style={styles.resultBpm}>{bpm} BPM</Text>
+                {renderReferenceRange()}
+                {respiration && (
+                  <Text style={styles.resultSecondary}>
+                    {respiration.rate} breaths/min{" "}
+                    <Text style={{ color: QUALITY_COLORS[respiration.quality] }}>
+                      ({respiration.quality} signal)
+                    </Text>
+                  </Text>
+                )}
+                {averaged && (
+                  <>
+                    <Text style={styles.statusSubtext}>
+                      ± {averaged.spread} BPM · range {averaged.min}–{averaged.max} · average of{" "}
+                      {averaged.used.length} of {averaged.used.length + averaged.discarded.length}
+                    </Text>
+                    {averaged.count < averaged.requested && (
+                      <Text style={styles.statusSubtext}>
+                        {averaged.requested - averaged.count} of {averaged.requested} measurements
+                        gave no reading and were left out.
+                      </Text>
+                    )}
+                    {averaged.discarded.length > 0 && (
+                      <Text style={styles.statusSubtext}>
+                        Discarded as outliers: {averaged.discarded.join(", ")} BPM
+                      </Text>
+                    )}
+                  </>
+                )}
+                {!averaged && results && results.local && results.remote && (
+                  <View style={styles.compareRow}>
+                    {renderSourceResult("On device", results.local)}
+                    {renderSourceResult("Server", results.remote)}
+                  </View>
+                )}
+                {rhythm && rhythm.status === RHYTHM_STATUS.IRREGULAR && (
+                  <View style={styles.rhythmNotice}>
+                    <Text style={styles.rhythmNoticeTitle}>Irregular pulse rhythm noticed</Text>
+                    <Text style={styles.rhythmNoticeText}>
+                      The time between your heartbeats varied more than usual during this
+                      scan. This is a screening hint, not a diagnosis — movement and poor
+                      finger contact can cause it too. If you see this often, or feel
+                      palpitations, dizziness or breathlessness, please talk to a doctor.
+                    </Text>
+                    <RhythmChart intervals={beatIntervals} width={CHART_WIDTH - 26} />
+                  </View>
+                )}
+                {resultWaveform && (
+                  <PpgWaveformChart
+                    waveform={resultWaveform.waveform}
+                    peaks={resultWaveform.peaks}
+                    width={CHART_WIDTH}
+                    title={
+                      resultWaveform.peaks.length
+                        ? `Pulse waveform · ${resultWaveform.peaks.length} beats detected`
+                        : "Pulse waveform"
+                    }
+                  />
+                )}
+                {settings.calibrationMode && renderCalibration()}
+                {renderNadi()}
+                <View style={styles.contextBox}>
+                  <MeasurementContextForm
+                    context={measurementContext}
+                    note={note}
+                    onChange={(value) => {
+                      setMeasurementContext(value.context);
+                      setNote(value.note);
+                    }}
+                  />
+                </View>
+                <TouchableOpacity
+                  style={styles.linkButton}
+                  onPress={() => setShowDetails((v) => !v)}
+                >
+                  <Text style={styles.linkText}>
+                    {showDetails ? "Hide details ▴" : "Details ▾"}
+                  </Text>
+                </TouchableOpacity>
+                {showDetails && renderDetails()}
+                <TouchableOpacity
+                  style={[styles.primaryButton, { marginTop: 16 }]}
+                  onPress={() => {
+                    setBpm(null);
+                    setResults(null);
+                    setSourceBpms(null);
+                    setHrv(null);
+                    setAveraged(null);
+                    setRespiration(null);
+                    setRhythm(null);
+                    setNadi(null);
+                    setBeatIntervals([]);
+                    setError(null);
+                  }}
+                >
+                  <Text style={styles.primaryButtonText}>Measure Again</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.linkButton}
+                  onPress={() => navigation.navigate("PulseHistory")}
+                >
+                  <Text style={styles.linkText}>View history</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.linkButton}
+                  onPress={() =>
+                    navigation.navigate("AyurvedaBot", {
+                      threadId: newThreadId(),
+                      attachment: pulseAttachment({
+                        bpm,
+                        hrv,
+                        respiration,
+                        rhythm,
+                        nadi,
+                        context: measurementContext,
+                      }),
+                    })
+                  }
+                >
+                  <Text style={styles.linkText}>Ask Ayurveda Bot about this reading</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.linkButton} onPress={handleShareReport}>
+                  <Text style={styles.linkText}>Share report with your doctor</Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            {!isRecording && !isAnalyzing && bpm === null && renderMethodSwitch()}
 
-          {!isRecording && !isUploading && bpm !== null && (
-            <>
-              <Text style={styles.resultLabel}>Heart Rate</Text>
-              <Text style={styles.resultBpm}>{bpm} BPM</Text>
+            {!isRecording && !isAnalyzing && bpm === null && (
               <TouchableOpacity
-                style={[styles.primaryButton, { marginTop: 16 }]}
-                onPress={() => {
-                  setBpm(null);
-                  setError(null);
-                }}
+                style={styles.primaryButton}
+                onPress={handleStartScan}
+                disabled={isRecording || isAnalyzing}
               >
-                <Text style={styles.primaryButtonText}>Measure Again</Text>
+                <Text style={styles.primaryButtonText}>
+                  Start {sampleCount > 1 ? `${sampleCount}×` : ""}
+                  {scanDuration}s {settings.hrvMode ? "HRV " : ""}Scan
+                </Text>
               </TouchableOpacity>
-            </>
-          )}
+            )}
 
-          {!isRecording && !isUploading && bpm === null && (
-            <TouchableOpacity
-              style={styles.primaryButton}
-              onPress={handleStartScan}
-              disabled={isRecording || isUploading}
-            >
-              <Text style={styles.primaryButtonText}>
-                Start {RECORD_DURATION}s Scan
-              </Text>
-            </TouchableOpacity>
-          )}
+            {error && !isRecording && !isAnalyzing && (
+              <Text style={styles.errorText}>{error}</Text>
+            )}
+          </View>
 
-          {error && !isRecording && !isUploading && (
-            <Text style={styles.errorText}>{error}</Text>
+          {!bpm && !isRecording && !isAnalyzing && (
+            <View style={styles.tipsBox}>
+              <Text style={styles.tipsTitle}>Tips for best results</Text>
+              {isFace ? (
+                <>
+                  <Text style={styles.tipItem}>• Face a window or a lamp; avoid backlight</Text>
+                  <Text style={styles.tipItem}>• Don’t talk or move your head</Text>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.tipItem}>• Cover BOTH camera and flash</Text>
+                  <Text style={styles.tipItem}>• Don’t press too hard</Text>
+                </>
+              )}
+              <Text style={styles.tipItem}>
+                • Hold steady for the full {sampleCount * scanDuration} seconds
+              </Text>
+            </View>
           )}
-        </View>
-
-        {!bpm && !isRecording && !isUploading && (
-          <View style={styles.tipsBox}>
-            <Text style={styles.tipsTitle}>Tips for best results</Text>
-            <Text style={styles.tipItem}>• Cover BOTH camera and flash</Text>
-            <Text style={styles.tipItem}>• Don’t press too hard</Text>
-            <Text style={styles.tipItem}>
-              • Hold steady for the full {RECORD_DURATION} seconds
-            </Text>
-          </View>
-        )}
+        </ScrollView>
       </View>
     </View>
   );
@@ -262,6 +1129,140 @@ const styles = StyleSheet.create({
   camera: {
     flex: 1,
   },
+  faceGuide: {
+    position: "absolute",
+    top: `${FACE_GUIDE.top * 100}%`,
+    height: `${FACE_GUIDE.height * 100}%`,
+    width: `${FACE_GUIDE.width * 100}%`,
+    left: `${((1 - FACE_GUIDE.width) / 2) * 100}%`,
+    borderRadius: 999,
+    borderWidth: 3,
+    borderStyle: "dashed",
+    borderColor: "rgba(249,250,251,0.8)",
+  },
+  calibrationBox: {
+    alignSelf: "stretch",
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+  },
+  calibrationTitle: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#93c5fd",
+  },
+  calibrationRow: {
+    flexDirection: "row",
+    marginTop: 8,
+  },
+  calibrationInput: {
+    borderWidth: 1,
+    borderColor: "#1f2937",
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: "#f9fafb",
+  },
+  secondaryButton: {
+    marginTop: 10,
+    paddingVertical: 10,
+    borderRadius: 999,
+    alignItems: "center",
+    backgroundColor: "#1f2937",
+  },
+  secondaryButtonText: {
+    color: "#f9fafb",
+    fontWeight: "700",
+    fontSize: 14,
+  },
+  nadiBox: {
+    alignSelf: "stretch",
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: "#0b1220",
+  },
+  nadiTitle: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#9ca3af",
+  },
+  nadiDominant: {
+    fontSize: 18,
+    fontWeight: "800",
+    color: "#f9fafb",
+    marginTop: 4,
+  },
+  nadiRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  nadiLabel: {
+    width: 48,
+    fontSize: 12,
+    color: "#e5e7eb",
+  },
+  nadiTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#1f2937",
+    overflow: "hidden",
+  },
+  nadiFill: {
+    height: 8,
+    borderRadius: 4,
+  },
+  nadiValue: {
+    width: 40,
+    textAlign: "right",
+    fontSize: 12,
+    color: "#e5e7eb",
+  },
+  nadiDisclaimer: {
+    marginTop: 8,
+    fontSize: 11,
+    color: "#6b7280",
+  },
+  contextBox: {
+    alignSelf: "stretch",
+    marginTop: 12,
+    paddingTop: 4,
+    borderTopWidth: 1,
+    borderTopColor: "#1f2937",
+  },
+  methodSection: {
+    alignItems: "center",
+    marginBottom: 14,
+  },
+  methodSwitch: {
+    flexDirection: "row",
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#1f2937",
+    padding: 3,
+    marginBottom: 6,
+  },
+  methodOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 18,
+    borderRadius: 999,
+  },
+  methodOptionActive: {
+    backgroundColor: "#1f2937",
+  },
+  methodOptionText: {
+    fontSize: 13,
+    color: "#9ca3af",
+    fontWeight: "600",
+  },
+  methodOptionTextActive: {
+    color: "#f9fafb",
+  },
   overlay: {
     position: "absolute",
     left: 0,
@@ -269,6 +1270,7 @@ const styles = StyleSheet.create({
     bottom: 0,
     padding: 20,
     paddingBottom: 32,
+    maxHeight: "90%",
     backgroundColor: "rgba(3,7,18,0.92)",
   },
   title: {
@@ -304,20 +1306,28 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: "600",
   },
-  recordingIndicator: {
-    flexDirection: "row",
+  progressText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#93c5fd",
+    marginBottom: 6,
+  },
+  ringWrapper: {
     alignItems: "center",
     marginBottom: 12,
   },
-  recordingDot: {
-    width: 10,
-    height: 10,
-    borderRadius: 5,
-    backgroundColor: "#ef4444",
-    marginRight: 8,
+  ringValue: {
+    fontSize: 30,
+    fontWeight: "800",
+    color: "#f9fafb",
+  },
+  ringLabel: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#9ca3af",
   },
   recordingText: {
-    fontSize: 14,
+    fontSize: 12,
     fontWeight: "700",
     color: "#ef4444",
   },
@@ -334,6 +1344,18 @@ const styles = StyleSheet.create({
     color: "#9ca3af",
     textAlign: "center",
   },
+  warningText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#fbbf24",
+    textAlign: "center",
+  },
+  goodText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#22c55e",
+    textAlign: "center",
+  },
   resultLabel: {
     fontSize: 13,
     color: "#9ca3af",
@@ -344,6 +1366,88 @@ const styles = StyleSheet.create({
     fontWeight: "800",
     color: "#22c55e",
   },
+  compareRow: {
+    flexDirection: "row",
+    marginTop: 12,
+    alignSelf: "stretch",
+  },
+  compareCell: {
+    flex: 1,
+    alignItems: "center",
+    paddingHorizontal: 6,
+  },
+  compareLabel: {
+    fontSize: 12,
+    color: "#9ca3af",
+    marginBottom: 2,
+  },
+  compareBpm: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#e5e7eb",
+  },
+  compareError: {
+    fontSize: 11,
+    color: "#f97373",
+    textAlign: "center",
+  },
+  linkButton: {
+    marginTop: 12,
+    paddingVertical: 4,
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#93c5fd",
+  },
+  detailsBox: {
+    alignSelf: "stretch",
+    marginTop: 8,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#1f2937",
+  },
+  detailRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 3,
+  },
+  detailLabel: {
+    fontSize: 13,
+    color: "#9ca3af",
+  },
+  detailValue: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#e5e7eb",
+  },
+  resultSecondary: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#e5e7eb",
+    marginTop: 2,
+  },
+  rhythmNotice: {
+    alignSelf: "stretch",
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#b45309",
+    backgroundColor: "rgba(251,191,36,0.08)",
+  },
+  rhythmNoticeTitle: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#fbbf24",
+    marginBottom: 4,
+  },
+  rhythmNoticeText: {
+    fontSize: 12,
+    color: "#e5e7eb",
+    lineHeight: 17,
+  },
   errorText: {
     marginTop: 10,
     fontSize: 13,
@@ -0,0 +1,192 @@
+// screens/PulseSettingsScreen.js
+import React from "react";
+import { ScrollView, StyleSheet } from "react-native";
+import { List, RadioButton, SegmentedButtons, Switch } from "react-native-paper";
+import {
+  ANALYSIS_MODES,
+  HRV_DURATIONS,
+  POOR_SIGNAL_ACTIONS,
+  SAMPLE_COUNTS,
+  SCAN_DURATIONS,
+  usePulseSettings,
+} from "../utils/pulseSettings";
+
+const ANALYSIS_OPTIONS = [
+  {
+    value: ANALYSIS_MODES.LOCAL,
+    label: "On device",
+    description: "Works offline. Nothing is uploaded.",
+  },
+  {
+    value: ANALYSIS_MODES.REMOTE,
+    label: "Server",
+    description: "Uploads the clip to the analysis server.",
+  },
+  {
+    value: ANALYSIS_MODES.BOTH,
+    label: "Both (compare)",
+    description: "Runs both side by side. Some phones take fewer frames while recording.",
+  },
+];
+
+const POOR_SIGNAL_OPTIONS = [
+  {
+    value: POOR_SIGNAL_ACTIONS.RESTART,
+    label: "Restart the scan",
+    description: "Starts over automatically after a short pause.",
+  },
+  {
+    value: POOR_SIGNAL_ACTIONS.ABORT,
+    label: "Stop the scan",
+    description: "Stops and tells you what went wrong.",
+  },
+];
+
+export default function PulseSettingsScreen({ navigation }) {
+  const [settings, updateSettings] = usePulseSettings();
+
+  return (
+    <ScrollView style={styles.container}>
+      <List.Section>
+        <List.Subheader>Heart rate analysis</List.Subheader>
+        <RadioButton.Group
+          value={settings.analysisMode}
+          onValueChange={(analysisMode) => updateSettings({ analysisMode })}
+        >
+          {ANALYSIS_OPTIONS.map((o) => (
+            <RadioButton.Item
+              key={o.value}
+              value={o.value}
+              label={`${o.label}\n${o.description}`}
+              labelStyle={styles.optionLabel}
+            />
+          ))}
+        </RadioButton.Group>
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>Scan length</List.Subheader>
+        <SegmentedButtons
+          style={styles.segmented}
+          value={String(settings.scanDuration)}
+          onValueChange={(v) => updateSettings({ scanDuration: Number(v) })}
+          buttons={SCAN_DURATIONS.map((d) => ({ value: String(d), label: `${d}s` }))}
+        />
+        <List.Item
+          title="Averaged measurement"
+          description="Takes several captures in a row and averages them, ignoring outliers."
+          descriptionNumberOfLines={3}
+          right={() => (
+            <Switch
+              value={settings.averagingMode}
+              onValueChange={(averagingMode) => updateSettings({ averagingMode })}
+            />
+          )}
+        />
+        {settings.averagingMode && (
+          <SegmentedButtons
+            style={styles.segmented}
+            value={String(settings.sampleCount)}
+            onValueChange={(v) => updateSettings({ sampleCount: Number(v) })}
+            buttons={SAMPLE_COUNTS.map((n) => ({ value: String(n), label: `${n}×` }))}
+          />
+        )}
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>When the signal stays poor</List.Subheader>
+        <RadioButton.Group
+          value={settings.poorSignalAction}
+          onValueChange={(poorSignalAction) => updateSettings({ poorSignalAction })}
+        >
+          {POOR_SIGNAL_OPTIONS.map((o) => (
+            <RadioButton.Item
+              key={o.value}
+              value={o.value}
+              label={`${o.label}\n${o.description}`}
+              labelStyle={styles.optionLabel}
+            />
+          ))}
+        </RadioButton.Group>
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>Heart rate variability</List.Subheader>
+        <List.Item
+          title="HRV mode"
+          description="Longer scans for RMSSD, SDNN and pNN50."
+          right={() => (
+            <Switch
+              value={settings.hrvMode}
+              onValueChange={(hrvMode) => updateSettings({ hrvMode })}
+            />
+          )}
+        />
+        {settings.hrvMode && (
+          <SegmentedButtons
+            style={styles.segmented}
+            value={String(settings.hrvDuration)}
+            onValueChange={(v) => updateSettings({ hrvDuration: Number(v) })}
+            buttons={HRV_DURATIONS.map((d) => ({
+              value: String(d),
+              label: d < 60 ? `${d}s` : `${d / 60} min`,
+            }))}
+          />
+        )}
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>Beat feedback</List.Subheader>
+        <List.Item
+          title="Tick sound"
+          description="Plays a tick on the countdown and on each detected heartbeat."
+          descriptionNumberOfLines={3}
+          right={() => (
+            <Switch
+              value={settings.beatSound}
+              onValueChange={(beatSound) => updateSettings({ beatSound })}
+            />
+          )}
+        />
+        <List.Item
+          title="Haptic pulse"
+          description="Vibrates lightly on the countdown, and on each heartbeat during face scans."
+          descriptionNumberOfLines={3}
+          right={() => (
+            <Switch
+              value={settings.beatHaptics}
+              onValueChange={(beatHaptics) => updateSettings({ beatHaptics })}
+            />
+          )}
+        />
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>Validation</List.Subheader>
+        <List.Item
+          title="Calibration mode"
+          description="After each scan, enter the BPM from a reference oximeter or chest strap."
+          descriptionNumberOfLines={3}
+          right={() => (
+            <Switch
+              value={settings.calibrationMode}
+              onValueChange={(calibrationMode) => updateSettings({ calibrationMode })}
+            />
+          )}
+        />
+        <List.Item
+          title="Calibration data"
+          description="Accuracy statistics, Bland-Altman plot and export."
+          left={(props) => <List.Icon {...props} icon="chart-scatter-plot" />}
+          onPress={() => navigation.navigate("PulseCalibration")}
+        />
+      </List.Section>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#fff" },
+  optionLabel: { fontSize: 14, lineHeight: 20 },
+  segmented: { marginHorizontal: 16, marginBottom: 8 },
+});
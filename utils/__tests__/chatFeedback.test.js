@@ -0,0 +1,87 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  FEEDBACK_TYPES,
+  buildFeedback,
+  flushFeedbackQueue,
+  loadFeedbackQueue,
+  submitFeedback,
+} from "../chatFeedback";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+const ok = () => Promise.resolve({ ok: true, status: 200 });
+const offline = () => Promise.reject(new Error("Network request failed"));
+
+const messages = [
+  { role: "user", content: "Is turmeric good for joints?", status: "sent" },
+  { id: "r1", role: "assistant", content: "Turmeric may ease joint stiffness." },
+];
+
+const item = (comment) =>
+  buildFeedback({ threadId: "t", messages, index: 1, type: FEEDBACK_TYPES.UP, comment });
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  global.fetch = jest.fn(ok);
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => console.warn.mockRestore());
+
+describe("chat feedback", () => {
+  it("sends the rated reply with the conversation before it", async () => {
+    const feedback = item(" helpful ");
+    expect(feedback.messageId).toBe("r1");
+    expect(feedback.comment).toBe("helpful");
+    expect(feedback.context.map((m) => m.content)).toEqual(["Is turmeric good for joints?"]);
+    expect(await submitFeedback(feedback)).toBe(true);
+    expect(await loadFeedbackQueue()).toEqual([]);
+  });
+
+  it("queues feedback that can't be sent and delivers it on the next flush", async () => {
+    global.fetch.mockImplementation(offline);
+    const feedback = item("later");
+    expect(await submitFeedback(feedback)).toBe(false);
+    expect(await loadFeedbackQueue()).toEqual([feedback]);
+
+    global.fetch.mockImplementation(ok);
+    await flushFeedbackQueue();
+    expect(await loadFeedbackQueue()).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps feedback queued while a flush is in flight", async () => {
+    global.fetch.mockImplementation(offline);
+    const first = item("first");
+    await submitFeedback(first);
+
+    // The flush's post waits until released; meanwhile new feedback fails and is queued
+    let release;
+    const posting = new Promise((started) =>
+      global.fetch.mockImplementationOnce(() => {
+        started();
+        return new Promise((resolve) => (release = resolve));
+      })
+    );
+    const flush = flushFeedbackQueue();
+    await posting;
+    const second = item("second");
+    await submitFeedback(second);
+    release({ ok: true, status: 200 });
+    await flush;
+
+    expect((await loadFeedbackQueue()).map((i) => i.id)).toEqual([second.id]);
+  });
+
+  it("stops at the first failure and keeps the rest in order", async () => {
+    global.fetch.mockImplementation(offline);
+    const queued = [item("a"), item("b"), item("c")];
+    for (const feedback of queued) await submitFeedback(feedback);
+
+    global.fetch.mockImplementationOnce(ok).mockImplementationOnce(offline);
+    await flushFeedbackQueue();
+    expect((await loadFeedbackQueue()).map((i) => i.comment)).toEqual(["b", "c"]);
+  });
+});
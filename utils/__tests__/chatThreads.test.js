@@ -0,0 +1,72 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  deleteThread,
+  loadThread,
+  loadThreads,
+  renameThread,
+  saveThreadMessages,
+  updateThreadMessages,
+  wasThreadDeleted,
+} from "../chatThreads";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+const question = (content) => ({ role: "user", content });
+
+beforeEach(() => AsyncStorage.clear());
+
+describe("chat threads", () => {
+  it("titles a new thread from its first question and keeps it on later saves", async () => {
+    await saveThreadMessages("a", [question("Which herbs help sleep?\nThanks")]);
+    await renameThread("a", "Sleep");
+    await saveThreadMessages("a", [question("Which herbs help sleep?"), question("And ashwagandha?")]);
+    const thread = await loadThread("a");
+    expect(thread.title).toBe("Sleep");
+    expect(thread.messages).toHaveLength(2);
+  });
+
+  it("keeps the stored summary unless a new one is given", async () => {
+    await saveThreadMessages("a", [question("Hi")], { summary: { text: "s", count: 2 } });
+    await saveThreadMessages("a", [question("Hi"), question("Again")]);
+    expect((await loadThread("a")).summary).toEqual({ text: "s", count: 2 });
+  });
+
+  it("lists the most recently saved thread first", async () => {
+    await saveThreadMessages("a", [question("A")]);
+    await saveThreadMessages("b", [question("B")]);
+    await saveThreadMessages("a", [question("A"), question("A2")]);
+    expect((await loadThreads()).map((t) => t.id)).toEqual(["a", "b"]);
+  });
+
+  it("loses no change when saves overlap", async () => {
+    await saveThreadMessages("a", [question("A")]);
+    await Promise.all([
+      saveThreadMessages("b", [question("B")]),
+      updateThreadMessages("a", (messages) => [...messages, { role: "assistant", content: "Reply" }]),
+      renameThread("a", "Renamed"),
+      saveThreadMessages("c", [question("C")]),
+    ]);
+    const threads = await loadThreads();
+    expect(threads.map((t) => t.id).sort()).toEqual(["a", "b", "c"]);
+    const a = threads.find((t) => t.id === "a");
+    expect(a.title).toBe("Renamed");
+    expect(a.messages).toHaveLength(2);
+  });
+
+  it("updates only threads that exist", async () => {
+    expect(await updateThreadMessages("missing", (m) => m)).toBeNull();
+    expect(await loadThreads()).toEqual([]);
+  });
+
+  it("never saves a deleted thread back", async () => {
+    await saveThreadMessages("gone", [question("Delete me")]);
+    const pending = saveThreadMessages("gone", [question("Delete me"), question("More")]);
+    await deleteThread("gone");
+    await pending;
+    await saveThreadMessages("gone", [question("Still on screen")]);
+    expect(wasThreadDeleted("gone")).toBe(true);
+    expect(await loadThread("gone")).toBeNull();
+  });
+});
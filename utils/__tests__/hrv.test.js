@@ -0,0 +1,75 @@
+import { analyzePpgFrames } from "../ppg";
+import {
+  HRV_CONFIDENCE,
+  cleanIntervals,
+  computeHrv,
+  extractFrameRate,
+  extractIntervals,
+  isPlausibleInterval,
+} from "../hrv";
+import { fingerFrames, steady } from "./synthetic";
+
+describe("extractIntervals", () => {
+  it("reads explicit intervals or peaks plus a sampling rate", () => {
+    expect(extractIntervals({ ibi_ms: ["800", 810, "x"] })).toEqual([800, 810]);
+    expect(extractIntervals({ peak_indices: [0, 24, 48], fps: 30 })).toEqual([800, 800]);
+    expect(extractIntervals(null)).toEqual([]);
+  });
+});
+
+describe("extractFrameRate", () => {
+  it("prefers the camera frame rate of a local result", () => {
+    expect(extractFrameRate({ frameRate: 7.5, fs: 30 })).toBe(7.5);
+    expect(extractFrameRate({ fps: "30" })).toBe(30);
+    expect(extractFrameRate({})).toBeNull();
+  });
+});
+
+describe("cleanIntervals", () => {
+  it("drops impossible intervals and ones far from the median", () => {
+    expect(cleanIntervals([800, 810, 250, 1600, 790, 2500])).toEqual([800, 810, 790]);
+    expect(isPlausibleInterval(250)).toBe(false);
+  });
+});
+
+describe("computeHrv", () => {
+  it("needs a few intervals", () => {
+    expect(computeHrv([800, 810])).toBeNull();
+    expect(computeHrv(null)).toBeNull();
+  });
+
+  it("measures alternating intervals", () => {
+    const hrv = computeHrv(Array.from({ length: 40 }, (_, i) => (i % 2 ? 840 : 760)));
+    expect(hrv.meanIbi).toBe(800);
+    expect(hrv.rmssd).toBe(80);
+    expect(hrv.pnn50).toBe(100);
+    expect(hrv.confidence).toBe(HRV_CONFIDENCE.HIGH);
+  });
+
+  it("doesn't take differences across a rejected interval", () => {
+    // 800 and 860 are only neighbours once the missed beat (1600) is removed
+    const hrv = computeHrv([800, 810, 800, 1600, 860, 870, 860]);
+    expect(hrv.rejected).toBe(1);
+    expect(hrv.rmssd).toBe(10);
+  });
+
+  it("doesn't take differences across captures", () => {
+    const hrv = computeHrv([steady(20, 700), steady(20, 900)]);
+    expect(hrv.rmssd).toBe(0);
+    expect(hrv.beatCount).toBe(42);
+  });
+
+  it("reports almost no variability for a perfectly regular pulse", () => {
+    const analysis = analyzePpgFrames(fingerFrames(steady(75, 800)));
+    const hrv = computeHrv(analysis.intervals, { frameRate: analysis.frameRate });
+    expect(hrv.rmssd).toBeLessThan(10);
+    expect(hrv.pnn50).toBe(0);
+    expect(hrv.confidence).toBe(HRV_CONFIDENCE.HIGH);
+  });
+
+  it("is low confidence from sparse stills, however many beats", () => {
+    const analysis = analyzePpgFrames(fingerFrames(steady(75, 800), { fps: 8 }));
+    const hrv = computeHrv(analysis.intervals, { frameRate: analysis.frameRate });
+    expect(hrv.confidence).toBe(HRV_CONFIDENCE.LOW);
+  });
+});
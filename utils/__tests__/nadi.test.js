@@ -0,0 +1,48 @@
+import { analyzePpgFrames } from "../ppg";
+import { derivePulseCharacteristics, interpretPulse } from "../nadi";
+import { fingerFrames, steady } from "./synthetic";
+
+function characteristics(intervals, options) {
+  const frames = fingerFrames(intervals, options);
+  return derivePulseCharacteristics(frames, analyzePpgFrames(frames));
+}
+
+describe("derivePulseCharacteristics", () => {
+  it("tells a sharp upstroke from a gradual one", () => {
+    const sharp = characteristics(steady(20), { rise: 0.15 });
+    const gradual = characteristics(steady(20), { rise: 0.5 });
+    expect(sharp.upstroke).toBeLessThan(0.3);
+    expect(gradual.upstroke).toBeGreaterThan(0.42);
+  });
+
+  it("measures the pulse height against the light level", () => {
+    // A 3-level dip on a red level of about 180
+    expect(characteristics(steady(20), { depth: 3 }).amplitude).toBeCloseTo(1.6, 0);
+  });
+
+  it("keeps irregular beats when judging regularity", () => {
+    const steadyPulse = characteristics(steady(20));
+    const irregular = characteristics(Array.from({ length: 21 }, (_, i) => (i % 3 ? 700 : 1050)));
+    expect(steadyPulse.regularity).toBeLessThan(0.04);
+    expect(irregular.regularity).toBeGreaterThan(0.08);
+  });
+
+  it("needs a few beats", () => {
+    const frames = fingerFrames(steady(5, 1000));
+    expect(derivePulseCharacteristics(frames, analyzePpgFrames(frames))).toBeNull();
+  });
+});
+
+describe("interpretPulse", () => {
+  it("scores an irregular, thin pulse towards vata", () => {
+    const reading = interpretPulse({ rate: 90, regularity: 0.12, amplitude: 0.4, upstroke: 0.38 });
+    expect(reading.dominant).toEqual(["vata"]);
+    expect(reading.scores.vata + reading.scores.pitta + reading.scores.kapha).toBeCloseTo(100, -1);
+  });
+
+  it("reads irregular rhythm as such", () => {
+    const reading = interpretPulse({ rate: 70, regularity: 0.12, amplitude: 1, upstroke: 0.38 });
+    const rhythm = reading.traits.find((t) => t.feature === "regularity");
+    expect(rhythm.level).toBe("Irregular");
+  });
+});
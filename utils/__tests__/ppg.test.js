@@ -0,0 +1,82 @@
+import {
+  analyzePpgFrames,
+  bandpassFilter,
+  canAnalyzeFrames,
+  detectPeaks,
+  peakIntervals,
+  refinePeak,
+} from "../ppg";
+import { fingerFrames, steady } from "./synthetic";
+
+const sine = (n, fs, hz) => Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * hz * i) / fs));
+
+describe("detectPeaks", () => {
+  it("finds one peak per cycle", () => {
+    // 1.25 Hz (75 BPM) for 20 s at 30 Hz
+    const peaks = detectPeaks(sine(600, 30, 1.25), 30);
+    expect(peaks).toHaveLength(25);
+  });
+
+  it("keeps peaks at least one max-BPM period apart", () => {
+    const signal = sine(600, 30, 1.25).map((v, i) => v + (i % 2 ? 0.05 : 0));
+    const peaks = detectPeaks(signal, 30);
+    for (let i = 1; i < peaks.length; i++) {
+      expect(peaks[i] - peaks[i - 1]).toBeGreaterThanOrEqual(Math.floor((30 * 60) / 200));
+    }
+  });
+
+  it("returns nothing for a too-short signal", () => {
+    expect(detectPeaks([1, 2], 30)).toEqual([]);
+  });
+});
+
+describe("refinePeak", () => {
+  it("finds the vertex of a sampled parabola", () => {
+    const signal = [0, 1, 2, 3].map((i) => -((i - 1.3) ** 2));
+    expect(refinePeak(signal, 1)).toBeCloseTo(1.3, 5);
+  });
+
+  it("leaves edge samples alone", () => {
+    expect(refinePeak([3, 2, 1], 0)).toBe(0);
+  });
+});
+
+describe("peakIntervals", () => {
+  it("is not quantized to whole samples when given the signal", () => {
+    // 820 ms cycles are 24.6 samples at 30 Hz, so peaks fall between samples
+    const signal = sine(900, 30, 1000 / 820);
+    const peaks = detectPeaks(signal, 30);
+    const refined = peakIntervals(peaks, 30, signal);
+    refined.forEach((ibi) => expect(Math.abs(ibi - 820)).toBeLessThan(2));
+    const raw = peakIntervals(peaks, 30);
+    expect(Math.max(...raw) - Math.min(...raw)).toBeGreaterThan(30);
+  });
+});
+
+describe("bandpassFilter", () => {
+  it("removes a constant offset and slow drift", () => {
+    const signal = sine(600, 30, 1.25).map((v, i) => v + 100 + i / 60);
+    const filtered = bandpassFilter(signal, 30);
+    const middle = filtered.slice(150, 450);
+    const m = middle.reduce((s, v) => s + v, 0) / middle.length;
+    expect(Math.abs(m)).toBeLessThan(0.05);
+  });
+});
+
+describe("analyzePpgFrames", () => {
+  it("measures the rate of a fingertip signal", () => {
+    const result = analyzePpgFrames(fingerFrames(steady(25, 800)));
+    expect(result.bpm).toBe(75);
+    expect(result.frameRate).toBeCloseTo(30, 0);
+  });
+
+  it("measures the rate from sparse stills", () => {
+    expect(analyzePpgFrames(fingerFrames(steady(25, 1000), { fps: 8 })).bpm).toBe(60);
+  });
+
+  it("rejects too few frames with a message", () => {
+    const frames = fingerFrames(steady(3, 800), { fps: 5 });
+    expect(canAnalyzeFrames(frames)).toBe(false);
+    expect(() => analyzePpgFrames(frames)).toThrow(/Not enough camera frames/);
+  });
+});
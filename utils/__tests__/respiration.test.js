@@ -0,0 +1,36 @@
+import { analyzePpgFrames } from "../ppg";
+import { QUALITY_LEVELS } from "../signalQuality";
+import { MIN_RESPIRATION_SEC, estimateRespiration } from "../respiration";
+import { fingerFrames, steady } from "./synthetic";
+
+// A capture of seconds at fps with 15 breaths/min (4 s period) and 75 BPM
+function capture(seconds, fps) {
+  const frames = fingerFrames(steady(Math.ceil((seconds * 1000) / 800)), { fps, breathMs: 4000 });
+  return frames.filter((f) => f.t < seconds * 1000);
+}
+
+describe("estimateRespiration", () => {
+  it("finds the breathing rate in a full-length capture", () => {
+    const frames = capture(MIN_RESPIRATION_SEC, 30);
+    const result = estimateRespiration(frames, analyzePpgFrames(frames));
+    expect(result.rate).toBe(15);
+    expect(result.quality).toBe(QUALITY_LEVELS.GOOD);
+  });
+
+  it("accepts a capture of the minimum length from sparse stills", () => {
+    // First to last still spans just under the capture length
+    const frames = capture(MIN_RESPIRATION_SEC, 8);
+    const analysis = analyzePpgFrames(frames);
+    expect(analysis.durationSec).toBeLessThan(MIN_RESPIRATION_SEC);
+    expect(estimateRespiration(frames, analysis).rate).toBe(15);
+  });
+
+  it("skips captures shorter than the minimum", () => {
+    const frames = capture(MIN_RESPIRATION_SEC - 1, 8);
+    expect(estimateRespiration(frames, analyzePpgFrames(frames))).toBeNull();
+  });
+
+  it("needs an analysis", () => {
+    expect(estimateRespiration(capture(MIN_RESPIRATION_SEC, 30), null)).toBeNull();
+  });
+});
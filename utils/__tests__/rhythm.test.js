@@ -0,0 +1,48 @@
+import { MIN_RHYTHM_INTERVALS, RHYTHM_STATUS, assessRhythm } from "../rhythm";
+import { seededRandom, steady } from "./synthetic";
+
+// Intervals varying at random around 800 ms by up to ±spread
+function randomIntervals(n, spread, seed) {
+  const random = seededRandom(seed);
+  return Array.from({ length: n }, () => 800 + (random() * 2 - 1) * spread);
+}
+
+describe("assessRhythm", () => {
+  it("needs enough beats", () => {
+    const result = assessRhythm(steady(MIN_RHYTHM_INTERVALS - 1));
+    expect(result.status).toBe(RHYTHM_STATUS.INSUFFICIENT);
+    expect(result.nRmssd).toBeNull();
+    expect(assessRhythm(null).status).toBe(RHYTHM_STATUS.INSUFFICIENT);
+  });
+
+  it("ignores impossible intervals when counting beats", () => {
+    const result = assessRhythm([...steady(MIN_RHYTHM_INTERVALS - 1), 100, 2500]);
+    expect(result.status).toBe(RHYTHM_STATUS.INSUFFICIENT);
+  });
+
+  it("calls a steady pulse regular", () => {
+    const result = assessRhythm(randomIntervals(60, 15, 3));
+    expect(result.status).toBe(RHYTHM_STATUS.REGULAR);
+    expect(result.nRmssd).toBeLessThan(0.1);
+  });
+
+  it("calls a slow rise and fall (breathing) regular", () => {
+    const intervals = Array.from({ length: 60 }, (_, i) => 800 + 80 * Math.sin(i / 2));
+    expect(assessRhythm(intervals).status).toBe(RHYTHM_STATUS.REGULAR);
+  });
+
+  it("flags randomly varying intervals", () => {
+    const result = assessRhythm(randomIntervals(60, 300, 7));
+    expect(result.status).toBe(RHYTHM_STATUS.IRREGULAR);
+    expect(result.tpr).toBeGreaterThan(0.54);
+  });
+
+  it("doesn't compare beats across captures", () => {
+    const captures = [steady(25, 700), steady(25, 900)];
+    const pooled = assessRhythm(captures.flat());
+    const separate = assessRhythm(captures);
+    expect(pooled.nRmssd).toBeGreaterThan(0);
+    expect(separate.nRmssd).toBe(0);
+    expect(separate.intervalCount).toBe(50);
+  });
+});
@@ -0,0 +1,72 @@
+import { analyzeRppgFrames, liveBeatTimes, previewWaveform } from "../ppg";
+import { QUALITY_ISSUES, assessFaceSignalQuality } from "../signalQuality";
+import { seededRandom } from "./synthetic";
+
+const SKIN = { r: 170, g: 120, b: 95 };
+
+/*
+  Face frames at fps: a small blood-volume change (strongest in green) under
+  lighting that flickers and drifts in brightness, which CHROM must ignore
+*/
+function faceFrames(seconds, { fps = 15, bpm = 72, patches = null } = {}) {
+  const random = seededRandom(5);
+  const frames = [];
+  for (let i = 0; (i * 1000) / fps < seconds * 1000; i++) {
+    const t = Math.round((i * 1000) / fps);
+    const pulse = Math.sin((2 * Math.PI * bpm * t) / 60000);
+    const light = 1 + 0.01 * Math.sin((2 * Math.PI * t) / 7000) + 0.002 * (random() - 0.5);
+    const frame = {
+      t,
+      r: SKIN.r * light * (1 - 0.001 * pulse),
+      g: SKIN.g * light * (1 - 0.003 * pulse),
+      b: SKIN.b * light * (1 - 0.0015 * pulse),
+    };
+    if (patches) frame.patches = patches.map((p) => ({ r: p.r * light, g: p.g * light, b: p.b * light }));
+    frames.push(frame);
+  }
+  return frames;
+}
+
+describe("analyzeRppgFrames", () => {
+  it("measures the rate under flickering light", () => {
+    expect(analyzeRppgFrames(faceFrames(20)).bpm).toBe(72);
+  });
+
+  it("measures a faster rate", () => {
+    expect(analyzeRppgFrames(faceFrames(20, { bpm: 96 })).bpm).toBe(96);
+  });
+});
+
+describe("live face preview", () => {
+  it("shows the CHROM signal and finds its beats", () => {
+    const frames = faceFrames(6);
+    const waveform = previewWaveform(frames, { face: true });
+    const beats = liveBeatTimes(frames, { face: true, waveform });
+    // 72 BPM over the last 5 s, less a beat at either edge
+    expect(beats.length).toBeGreaterThanOrEqual(4);
+    expect(beats.length).toBeLessThanOrEqual(6);
+    for (let i = 1; i < beats.length; i++) expect(beats[i] - beats[i - 1]).toBeCloseTo(833, -2);
+  });
+});
+
+describe("assessFaceSignalQuality", () => {
+  it("accepts a face filling the oval", () => {
+    const frames = faceFrames(3, { patches: [SKIN, SKIN, { r: 160, g: 112, b: 90 }] });
+    expect(assessFaceSignalQuality(frames)).toEqual({ ok: true });
+  });
+
+  it("rejects a region where one patch isn't skin", () => {
+    const frames = faceFrames(3, { patches: [SKIN, SKIN, { r: 90, g: 95, b: 110 }] });
+    expect(assessFaceSignalQuality(frames).issue).toBe(QUALITY_ISSUES.NO_FACE);
+  });
+
+  it("rejects patches that differ too much in brightness", () => {
+    const dim = { r: SKIN.r / 3, g: SKIN.g / 3, b: SKIN.b / 3 };
+    const frames = faceFrames(3, { patches: [SKIN, SKIN, dim] });
+    expect(assessFaceSignalQuality(frames).issue).toBe(QUALITY_ISSUES.NO_FACE);
+  });
+
+  it("waits for enough frames", () => {
+    expect(assessFaceSignalQuality(faceFrames(0.1))).toEqual({ pending: true });
+  });
+});
@@ -0,0 +1,46 @@
+// utils/__tests__/synthetic.js
+// Synthetic camera frames for the signal-processing tests: a fingertip PPG
+// with chosen beat timing and shape, sampled like the live stills are.
+
+/*
+  Beat start times (ms) for a list of inter-beat intervals, starting at 0
+*/
+export function beatTimes(intervals) {
+  const times = [0];
+  intervals.forEach((ibi) => times.push(times[times.length - 1] + ibi));
+  return times;
+}
+
+/*
+  Fingertip frames { t, r, g, b } at fps over the beats given by intervals.
+  rise: share of each beat spent rising to its peak
+  depth: pulse size in red levels (the red channel dips as blood arrives)
+  breathMs: optional breathing period modulating baseline, size and rate
+*/
+export function fingerFrames(intervals, { fps = 30, rise = 0.2, depth = 3, breathMs = null } = {}) {
+  const beats = beatTimes(intervals);
+  const end = beats[beats.length - 1];
+  const frames = [];
+  let k = 0;
+  for (let i = 0; (i * 1000) / fps < end; i++) {
+    const t = Math.round((i * 1000) / fps);
+    while (beats[k + 1] <= t) k += 1;
+    const phase = (t - beats[k]) / (beats[k + 1] - beats[k]);
+    const pulse = phase < rise ? phase / rise : 1 - (phase - rise) / (1 - rise);
+    const breath = breathMs ? Math.sin((2 * Math.PI * t) / breathMs) : 0;
+    frames.push({ t, r: 180 + 2 * breath - depth * (1 + 0.3 * breath) * pulse, g: 20, b: 20 });
+  }
+  return frames;
+}
+
+// n intervals of ibi ms
+export const steady = (n, ibi = 800) => Array(n).fill(ibi);
+
+// Deterministic pseudo-random numbers in [0, 1), so tests never flake
+export function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
@@ -0,0 +1,46 @@
+// utils/beatFeedback.js
+// Tick sound and haptic pulse played on each detected heartbeat and on the
+// countdown before a scan.
+import { useCallback, useEffect, useRef } from "react";
+import { Audio } from "expo-av";
+import * as Haptics from "expo-haptics";
+
+const TICK_SOUND = require("../assets/sounds/tick.wav");
+
+/*
+  Returns play({ vibrate, style }), which fires whichever feedback is enabled;
+  vibrate: false skips the haptic for this call. The tick is only loaded
+  while sound is on; play() never throws.
+*/
+export function useBeatFeedback({ sound, haptics }) {
+  const tickRef = useRef(null);
+
+  useEffect(() => {
+    if (!sound) return undefined;
+    let cancelled = false;
+    let loaded = null;
+    Audio.Sound.createAsync(TICK_SOUND, { volume: 0.6 })
+      .then(({ sound: tick }) => {
+        if (cancelled) {
+          tick.unloadAsync();
+          return;
+        }
+        loaded = tick;
+        tickRef.current = tick;
+      })
+      .catch((err) => console.warn("Failed loading tick sound:", err));
+    return () => {
+      cancelled = true;
+      tickRef.current = null;
+      if (loaded) loaded.unloadAsync();
+    };
+  }, [sound]);
+
+  return useCallback(
+    ({ vibrate = true, style = Haptics.ImpactFeedbackStyle.Light } = {}) => {
+      if (haptics && vibrate) Haptics.impactAsync(style).catch(() => {});
+      if (sound && tickRef.current) tickRef.current.replayAsync().catch(() => {});
+    },
+    [sound, haptics]
+  );
+}
@@ -0,0 +1,93 @@
+// utils/calibration.js
+// Paired readings (app vs. a reference oximeter / chest strap) collected in
+// calibration mode, and the agreement statistics used to validate the algorithms.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { mean } from "./ppg";
+
+const CALIBRATION_KEY = "PULSE_CALIBRATION";
+const MAX_PAIRS = 1000;
+
+// Which app reading a statistic compares with the reference
+export const CALIBRATION_SOURCES = {
+  FINAL: "final",
+  LOCAL: "local",
+  REMOTE: "remote",
+};
+
+export const CALIBRATION_SOURCE_LABELS = {
+  [CALIBRATION_SOURCES.FINAL]: "Reported",
+  [CALIBRATION_SOURCES.LOCAL]: "On device",
+  [CALIBRATION_SOURCES.REMOTE]: "Server",
+};
+
+export async function loadCalibrationPairs() {
+  try {
+    const s = await AsyncStorage.getItem(CALIBRATION_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch (err) {
+    console.warn("Failed reading calibration data:", err);
+    return [];
+  }
+}
+
+async function writeCalibrationPairs(pairs) {
+  await AsyncStorage.setItem(CALIBRATION_KEY, JSON.stringify(pairs.slice(0, MAX_PAIRS)));
+}
+
+/*
+  Saves a pair (newest first) and returns it.
+  pair: { reference, final, local, remote, method, durationSec, entryId } —
+  local/remote are null when that algorithm didn't run or failed.
+*/
+export async function addCalibrationPair(pair) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    when: new Date().toISOString(),
+    ...pair,
+  };
+  const pairs = await loadCalibrationPairs();
+  await writeCalibrationPairs([entry, ...pairs]);
+  return entry;
+}
+
+// Removes the pair with this id; returns the updated list
+export async function deleteCalibrationPair(id) {
+  const pairs = await loadCalibrationPairs();
+  const updated = pairs.filter((p) => p.id !== id);
+  await writeCalibrationPairs(updated);
+  return updated;
+}
+
+export async function clearCalibrationPairs() {
+  await AsyncStorage.removeItem(CALIBRATION_KEY);
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/*
+  Agreement of one source with the reference over the pairs that have both.
+  Returns { n, mae, rmse, bias, sd, loa: [lower, upper], points } or null when
+  fewer than two pairs qualify. bias is mean(app − reference); loa are the
+  Bland-Altman 95% limits of agreement (bias ± 1.96 SD). points are the
+  Bland-Altman coordinates { mean, diff } for plotting.
+*/
+export function computeAgreement(pairs, source = CALIBRATION_SOURCES.FINAL) {
+  const usable = pairs.filter(
+    (p) => typeof p.reference === "number" && typeof p[source] === "number"
+  );
+  if (usable.length < 2) return null;
+
+  const diffs = usable.map((p) => p[source] - p.reference);
+  const bias = mean(diffs);
+  // Sample SD, as Bland-Altman limits are usually reported
+  const sd = Math.sqrt(diffs.reduce((sum, d) => sum + (d - bias) ** 2, 0) / (diffs.length - 1));
+  return {
+    n: usable.length,
+    mae: round1(mean(diffs.map(Math.abs))),
+    rmse: round1(Math.sqrt(mean(diffs.map((d) => d * d)))),
+    bias: round1(bias),
+    sd: round1(sd),
+    loa: [round1(bias - 1.96 * sd), round1(bias + 1.96 * sd)],
+    points: usable.map((p, i) => ({ mean: (p[source] + p.reference) / 2, diff: diffs[i] })),
+  };
+}
@@ -0,0 +1,97 @@
+// utils/chatAttachments.js
+// Structured context attached to an Ayurveda bot question (a scanned product,
+// an analyzed meal or a pulse reading). Sent on the user message as
+// { role, content, attachment } and shown as a chip in the chat.
+// Attachment shape: { type, label, data }.
+
+export const ATTACHMENT_TYPES = {
+  PRODUCT: "product",
+  MEAL: "meal",
+  PULSE: "pulse",
+};
+
+export const ATTACHMENT_ICONS = {
+  [ATTACHMENT_TYPES.PRODUCT]: "🏷️",
+  [ATTACHMENT_TYPES.MEAL]: "🍽️",
+  [ATTACHMENT_TYPES.PULSE]: "❤️",
+};
+
+// Question pre-filled in the chat input for each kind of attachment
+export const ATTACHMENT_PROMPTS = {
+  [ATTACHMENT_TYPES.PRODUCT]: "Is this product OK for me?",
+  [ATTACHMENT_TYPES.MEAL]: "Is this meal good for me?",
+  [ATTACHMENT_TYPES.PULSE]: "What does my pulse reading say about me?",
+};
+
+// Drops empty values so the payload only carries what was actually measured
+function compact(obj) {
+  const out = {};
+  Object.entries(obj).forEach(([k, v]) => {
+    if (v === null || v === undefined || v === "") return;
+    if (typeof v === "object" && !Array.isArray(v) && !Object.keys(v).length) return;
+    out[k] = v;
+  });
+  return out;
+}
+
+/*
+  product: the fields shown for a barcode scan —
+  { name, brand, barcode, ingredients, allergens, vegStatus, nutrition }
+*/
+export function productAttachment(product) {
+  const nutrition = {};
+  Object.entries(product.nutrition || {}).forEach(([k, v]) => {
+    if (v !== null && v !== undefined && String(v).trim() !== "" && Number(v) !== 0) {
+      nutrition[k] = v;
+    }
+  });
+  return {
+    type: ATTACHMENT_TYPES.PRODUCT,
+    label: product.name || "Scanned product",
+    data: compact({
+      name: product.name,
+      brand: product.brand,
+      barcode: product.barcode,
+      ingredients: product.ingredients,
+      allergens: product.allergens,
+      vegStatus: product.vegStatus !== "unknown" ? product.vegStatus : null,
+      nutrition,
+    }),
+  };
+}
+
+// foods: the food scanner's detected foods; totals: its computed totals
+export function mealAttachment(foods, totals) {
+  const names = foods.map((f, i) => f.name || `Item ${i + 1}`);
+  return {
+    type: ATTACHMENT_TYPES.MEAL,
+    label: names.length > 2 ? `${names.slice(0, 2).join(", ")} +${names.length - 2}` : names.join(", "),
+    data: compact({
+      foods: foods.map((f, i) =>
+        compact({ name: names[i], carbs: f.carbs, fat: f.fat, protein: f.protein, fiber: f.fiber })
+      ),
+      totals,
+    }),
+  };
+}
+
+/*
+  reading: { bpm, hrv, respiration, rhythm, nadi, context } as produced by a
+  pulse scan (anything missing is left out)
+*/
+export function pulseAttachment(reading) {
+  const { bpm, hrv, respiration, rhythm, nadi, context } = reading;
+  return {
+    type: ATTACHMENT_TYPES.PULSE,
+    label: `Pulse ${bpm} BPM`,
+    data: compact({
+      bpm,
+      hrv: hrv ? { rmssd: hrv.rmssd, sdnn: hrv.sdnn, pnn50: hrv.pnn50 } : null,
+      breathsPerMin: respiration ? respiration.rate : null,
+      rhythm: rhythm ? rhythm.status : null,
+      nadi: nadi ? { scores: nadi.scores, dominant: nadi.dominant } : null,
+      context: context && context.tag ? compact(context) : null,
+      measuredAt: new Date().toISOString(),
+    }),
+  };
+}
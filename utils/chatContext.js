@@ -0,0 +1,127 @@
+// utils/chatContext.js
+// Keeps Ayurveda bot requests small: only the last few turns go out verbatim,
+// and everything older is folded into a rolling summary stored on the thread
+// as { text, count, local, remote } — count being how many of the oldest
+// history messages it covers. A request never waits for the summarize
+// endpoint: the summary is first built locally by truncation, and replaced by
+// the endpoint's once a reply has landed (refineSummary). remote holds the
+// last endpoint-written { text, count } a local summary was extended from.
+
+const SUMMARIZE_URL = "https://ayurveda-bot-backend.onrender.com/summarize";
+const SUMMARIZE_TIMEOUT_MS = 20000;
+
+/*
+  maxTurns: question/answer pairs sent verbatim before the new question
+  maxChars: budget for the whole request context, summary included
+  (roughly 4 characters per token)
+  summaryChars: the part of that budget the summary may use
+*/
+export const CONTEXT_LIMITS = {
+  maxTurns: 6,
+  maxChars: 8000,
+  summaryChars: 1500,
+};
+
+function messageSize(m) {
+  return m.content.length + (m.attachment ? JSON.stringify(m.attachment).length : 0);
+}
+
+/*
+  history: a requestHistory() result, ending with the new question.
+  Returns { older, recent }: recent holds the question and as many turns
+  before it as fit maxTurns and the budget left after the summary.
+*/
+export function splitHistory(history, limits = CONTEXT_LIMITS) {
+  const budget = limits.maxChars - limits.summaryChars;
+  let start = history.length - 1;
+  let size = messageSize(history[start]);
+  let questions = 0;
+  while (start > 0) {
+    const prev = history[start - 1];
+    if (prev.role === "user" && questions === limits.maxTurns) break;
+    if (size + messageSize(prev) > budget) break;
+    if (prev.role === "user") questions += 1;
+    size += messageSize(prev);
+    start -= 1;
+  }
+  // Don't open the window on an answer whose question was cut off
+  while (start < history.length - 1 && history[start].role === "assistant") start += 1;
+  return { older: history.slice(0, start), recent: history.slice(start) };
+}
+
+function clip(text, length) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > length ? `${flat.slice(0, length - 1).trim()}…` : flat;
+}
+
+// Summary by truncation: one clipped line per message, keeping the newest when over budget
+export function localSummary(previous, messages, maxChars = CONTEXT_LIMITS.summaryChars) {
+  const lines = messages.map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${clip(m.content, 160)}`);
+  const text = [previous, ...lines].filter(Boolean).join("\n");
+  if (text.length <= maxChars) return text;
+  const tail = text.slice(-(maxChars - 1));
+  const lineStart = tail.indexOf("\n");
+  return `…${lineStart === -1 ? tail : tail.slice(lineStart)}`;
+}
+
+async function remoteSummary(previous, messages, maxChars, signal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SUMMARIZE_TIMEOUT_MS);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel);
+  try {
+    const response = await fetch(SUMMARIZE_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        summary: previous || null,
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        maxChars,
+      }),
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    if (!data.summary) throw new Error("No summary in response");
+    return clip(data.summary, maxChars);
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+}
+
+/*
+  Builds the context for a request. summary is the thread's stored summary
+  (or null). Returns { messages, summary }: the messages to send verbatim and
+  the summary covering the rest (null when nothing was cut). Messages that
+  newly dropped out of the window are summarized locally, on top of the
+  previous summary.
+*/
+export function prepareContext(history, summary, limits = CONTEXT_LIMITS) {
+  const { older, recent } = splitHistory(history, limits);
+  if (!older.length) return { messages: recent, summary: null };
+  if (summary && summary.count === older.length) return { messages: recent, summary };
+
+  // The window moved back (e.g. a shorter thread after edits): start over
+  const base = summary && summary.count < older.length ? summary : null;
+  const added = older.slice(base ? base.count : 0);
+  const text = localSummary(base ? base.text : "", added, limits.summaryChars);
+  let remote = null;
+  if (base) remote = base.local ? base.remote || null : { text: base.text, count: base.count };
+  return { messages: recent, summary: { text, count: older.length, local: true, remote } };
+}
+
+/*
+  Rewrites a local summary with the summarize endpoint, for sending with
+  later requests. history: the history the summary was built from (its first
+  summary.count messages are the ones covered). Resolves with the new
+  summary, or null when summary needs no refining.
+  signal: optional AbortSignal cancelling the request
+*/
+export async function refineSummary(history, summary, { signal, limits = CONTEXT_LIMITS } = {}) {
+  if (!summary || !summary.local) return null;
+  const base = summary.remote;
+  const added = history.slice(base ? base.count : 0, summary.count);
+  const text = await remoteSummary(base ? base.text : "", added, limits.summaryChars, signal);
+  return { text, count: summary.count, local: false };
+}
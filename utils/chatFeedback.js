@@ -0,0 +1,126 @@
+// utils/chatFeedback.js
+// Ratings and unsafe-advice reports on Ayurveda bot replies. Each one is
+// posted to the feedback endpoint with the rated reply and the conversation
+// leading up to it; when posting fails it waits in an AsyncStorage queue and
+// is retried on the next flushFeedbackQueue() (screen open, back online).
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { deliveredHistory } from "./chatMessages";
+
+const FEEDBACK_URL = "https://ayurveda-bot-backend.onrender.com/feedback";
+const FEEDBACK_QUEUE_KEY = "AYURVEDA_FEEDBACK_QUEUE";
+const MAX_QUEUED = 200;
+const POST_TIMEOUT_MS = 15000;
+// Messages of conversation sent along with the rated reply
+const CONTEXT_MESSAGES = 6;
+
+export const FEEDBACK_TYPES = {
+  UP: "up",
+  DOWN: "down",
+  UNSAFE: "unsafe",
+};
+
+export async function loadFeedbackQueue() {
+  try {
+    const s = await AsyncStorage.getItem(FEEDBACK_QUEUE_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch (err) {
+    console.warn("Failed reading feedback queue:", err);
+    return [];
+  }
+}
+
+async function writeFeedbackQueue(queue) {
+  // Oldest first; past the limit the oldest are dropped
+  await AsyncStorage.setItem(FEEDBACK_QUEUE_KEY, JSON.stringify(queue.slice(-MAX_QUEUED)));
+}
+
+// Queue changes run one after another, each on a fresh read, so adding
+// feedback during a flush can't be undone by the flush writing back its copy
+let writeQueue = Promise.resolve();
+
+function queueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Applies fn to the stored queue
+function updateFeedbackQueue(fn) {
+  return queueWrite(async () => writeFeedbackQueue(fn(await loadFeedbackQueue())));
+}
+
+async function postFeedback(item) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), POST_TIMEOUT_MS);
+  try {
+    const response = await fetch(FEEDBACK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(item),
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/*
+  Builds the feedback for reply messages[index] of thread threadId.
+  type: a FEEDBACK_TYPES value; comment: optional free text
+*/
+export function buildFeedback({ threadId, messages, index, type, comment }) {
+  const reply = messages[index];
+  const context = deliveredHistory(messages.slice(0, index)).slice(-CONTEXT_MESSAGES);
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    comment: comment ? comment.trim() : "",
+    threadId,
+    messageId: reply.id || null,
+    message: reply.content,
+    context,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/*
+  Posts one piece of feedback, queueing it if that fails.
+  Resolves true if it was delivered now.
+*/
+export async function submitFeedback(item) {
+  try {
+    await postFeedback(item);
+    return true;
+  } catch (err) {
+    console.warn("Feedback not sent, queued for retry:", err.message);
+    await updateFeedbackQueue((queue) => [...queue, item]);
+    return false;
+  }
+}
+
+let flushing = false;
+
+// Retries queued feedback in order, stopping at the first failure
+export async function flushFeedbackQueue() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    const queue = await loadFeedbackQueue();
+    let sent = 0;
+    for (const item of queue) {
+      try {
+        await postFeedback(item);
+        sent += 1;
+      } catch (err) {
+        break;
+      }
+    }
+    if (sent) {
+      const delivered = new Set(queue.slice(0, sent).map((i) => i.id));
+      await updateFeedbackQueue((latest) => latest.filter((i) => !delivered.has(i.id)));
+    }
+  } finally {
+    flushing = false;
+  }
+}
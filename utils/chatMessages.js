@@ -0,0 +1,72 @@
+// utils/chatMessages.js
+// Delivery state of the user's chat messages. Each question carries an id and
+// a status; failures are shown on the message itself instead of being added
+// to the conversation, and only delivered exchanges go back to the server.
+// Answers from the offline knowledge base ({ offline: true, answerTo }) are
+// shown in the chat but never sent.
+
+export const MESSAGE_STATUS = {
+  QUEUED: "queued", // typed while offline, sent when the connection returns
+  SENDING: "sending",
+  FAILED: "failed",
+  SENT: "sent",
+};
+
+// Error replies that older versions stored as assistant messages
+const LEGACY_ERROR_REPLIES = ["⚠️ Failed to connect to the bot.", "⚠️ No reply from server."];
+
+export function newMessageId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Messages without a status predate delivery tracking and were sent
+export function isDelivered(message) {
+  return !message.status || message.status === MESSAGE_STATUS.SENT;
+}
+
+export function setMessageStatus(messages, id, status) {
+  return messages.map((m) => (m.id === id ? { ...m, status } : m));
+}
+
+/*
+  Places a reply right after its question (and any offline answer to it), so
+  replies to queued questions stay in order.
+*/
+export function insertReply(messages, questionId, reply) {
+  let index = messages.findIndex((m) => m.id === questionId);
+  if (index === -1) return [...messages, reply];
+  while (messages[index + 1] && messages[index + 1].answerTo === questionId) index += 1;
+  return [...messages.slice(0, index + 1), reply, ...messages.slice(index + 1)];
+}
+
+export function hasOfflineAnswer(messages, questionId) {
+  return messages.some((m) => m.offline && m.answerTo === questionId);
+}
+
+// A reopened thread can't still be sending; what was in flight when the app closed failed
+export function restoreStatuses(messages) {
+  return messages.map((m) =>
+    m.status === MESSAGE_STATUS.SENDING ? { ...m, status: MESSAGE_STATUS.FAILED } : m
+  );
+}
+
+function toPayload({ role, content, attachment }) {
+  return attachment ? { role, content, attachment } : { role, content };
+}
+
+/*
+  The delivered exchanges of messages as { role, content[, attachment] }.
+  Undelivered questions, offline answers and stored error replies are left out.
+*/
+export function deliveredHistory(messages) {
+  return messages
+    .filter((m) => isDelivered(m) && !m.offline)
+    .filter((m) => !(m.role === "assistant" && LEGACY_ERROR_REPLIES.includes(m.content)))
+    .map(toPayload);
+}
+
+// The conversation sent with question questionId: the delivered history before it, then the question
+export function requestHistory(messages, questionId) {
+  const index = messages.findIndex((m) => m.id === questionId);
+  return [...deliveredHistory(messages.slice(0, index)), toPayload(messages[index])];
+}
@@ -0,0 +1,146 @@
+// utils/chatStream.js
+// Streaming chat replies over XMLHttpRequest, since React Native's fetch can't
+// read a response body incrementally. Understands Server-Sent Events
+// ("data: ..." lines, optionally JSON with a delta/content/reply field, ending
+// with "data: [DONE]") and plain chunked text. A JSON event may also carry
+// follow-up suggestions ({ "suggestions": [...] }).
+
+// Text and suggestions carried by one SSE data payload
+function parseEvent(data) {
+  try {
+    const parsed = JSON.parse(data);
+    if (typeof parsed === "string") return { text: parsed };
+    return {
+      text: parsed.delta ?? parsed.content ?? parsed.reply ?? parsed.text ?? "",
+      suggestions: parsed.suggestions,
+    };
+  } catch (err) {
+    return { text: data };
+  }
+}
+
+/*
+  POSTs body as JSON to url and calls onDelta(text) for each piece of the
+  reply as it arrives. Resolves with the full reply.
+  - signal: AbortSignal; aborting rejects with an AbortError
+  - onSuggestions(list): called with the raw suggestions if an event has them
+  - idleTimeoutMs: abort if nothing arrives for this long
+  Rejects with an Error carrying .status for HTTP errors and .received (the
+  text streamed so far) in every case.
+*/
+export function streamChat(
+  url,
+  body,
+  { signal, onDelta, onSuggestions, idleTimeoutMs = 30000 } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let seen = 0; // characters of responseText already handled
+    let pending = ""; // incomplete SSE line
+    let isSse = null;
+    let received = "";
+    let done = false;
+    let idleTimer = null;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      clearTimeout(idleTimer);
+      err.received = received;
+      reject(err);
+    };
+
+    const resetIdle = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        xhr.abort();
+        fail(new Error("The bot stopped responding."));
+      }, idleTimeoutMs);
+    };
+
+    const emit = (text) => {
+      if (!text) return;
+      received += text;
+      if (onDelta) onDelta(text);
+    };
+
+    const handleEvent = (data) => {
+      const { text, suggestions } = parseEvent(data);
+      emit(text);
+      if (suggestions && onSuggestions) onSuggestions(suggestions);
+    };
+
+    const consume = () => {
+      const chunk = xhr.responseText.slice(seen);
+      seen = xhr.responseText.length;
+      if (!chunk) return;
+      if (isSse === null) {
+        const type = xhr.getResponseHeader("Content-Type") || "";
+        isSse = type.includes("text/event-stream") || /^\s*data:/.test(chunk);
+      }
+      if (!isSse) {
+        emit(chunk);
+        return;
+      }
+      const lines = (pending + chunk).split("\n");
+      pending = lines.pop();
+      lines.forEach((line) => {
+        if (!line.startsWith("data:")) return;
+        const data = line.slice(5).replace(/^ /, "").replace(/\r$/, "");
+        if (data === "[DONE]") return;
+        handleEvent(data);
+      });
+    };
+
+    const onAbort = () => {
+      xhr.abort();
+      const err = new Error("Aborted");
+      err.name = "AbortError";
+      fail(err);
+    };
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort);
+    }
+
+    xhr.open("POST", url);
+    xhr.setRequestHeader("Content-Type", "application/json");
+    xhr.setRequestHeader("Accept", "text/event-stream, text/plain");
+
+    xhr.onprogress = () => {
+      if (xhr.status && xhr.status !== 200) return;
+      resetIdle();
+      consume();
+    };
+
+    xhr.onload = () => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (xhr.status !== 200) {
+        const err = new Error(`HTTP ${xhr.status}`);
+        err.status = xhr.status;
+        fail(err);
+        return;
+      }
+      consume();
+      if (pending.startsWith("data:")) {
+        const data = pending.slice(5).trim();
+        if (data !== "[DONE]") handleEvent(data);
+      }
+      if (done) return;
+      done = true;
+      clearTimeout(idleTimer);
+      resolve(received);
+    };
+
+    xhr.onerror = () => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      fail(new Error("Network error"));
+    };
+
+    resetIdle();
+    xhr.send(JSON.stringify(body));
+  });
+}
@@ -0,0 +1,29 @@
+// utils/chatSuggestions.js
+// Tappable prompts in the Ayurveda chat: starter topics for an empty thread
+// (configured in data/chatStarterTopics.json) and the follow-up questions the
+// backend may return with a reply.
+import STARTER_TOPICS from "../data/chatStarterTopics.json";
+
+const MAX_SUGGESTIONS = 4;
+const MAX_SUGGESTION_LENGTH = 120;
+
+export { STARTER_TOPICS };
+
+/*
+  Accepts the backend's suggestions as strings or objects with a
+  prompt/text/label field; returns up to MAX_SUGGESTIONS distinct strings.
+*/
+export function normalizeSuggestions(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  const out = [];
+  raw.forEach((item) => {
+    const text = typeof item === "string" ? item : item && (item.prompt || item.text || item.label);
+    if (typeof text !== "string") return;
+    const trimmed = text.trim().slice(0, MAX_SUGGESTION_LENGTH);
+    if (!trimmed || seen.has(trimmed) || out.length >= MAX_SUGGESTIONS) return;
+    seen.add(trimmed);
+    out.push(trimmed);
+  });
+  return out;
+}
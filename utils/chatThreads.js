@@ -0,0 +1,126 @@
+// utils/chatThreads.js
+// Ayurveda bot conversations persisted in AsyncStorage, most recently
+// active first. Each thread: { id, title, createdAt, updatedAt, messages,
+// summary } — summary being the rolling context summary (utils/chatContext.js).
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const THREADS_KEY = "AYURVEDA_CHAT_THREADS";
+const MAX_THREADS = 50;
+// Older messages are dropped from storage beyond this; the chat itself keeps them until reopened
+export const MAX_STORED_MESSAGES = 200;
+const TITLE_LENGTH = 40;
+
+export function wasThreadDeleted(id) {
+  return deletedIds.has(id);
+}
+
+export function newThreadId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// First line of the opening question, shortened
+export function titleFromMessages(messages) {
+  const first = messages.find((m) => m.role === "user");
+  if (!first) return "New conversation";
+  const line = first.content.trim().split("\n")[0];
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1).trim()}…` : line;
+}
+
+export async function loadThreads() {
+  try {
+    const s = await AsyncStorage.getItem(THREADS_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch (err) {
+    console.warn("Failed reading chat threads:", err);
+    return [];
+  }
+}
+
+async function writeThreads(threads) {
+  await AsyncStorage.setItem(THREADS_KEY, JSON.stringify(threads.slice(0, MAX_THREADS)));
+}
+
+// All threads share one key, so every read-modify-write runs after the
+// previous one finished; concurrent saves would otherwise undo each other
+let writeQueue = Promise.resolve();
+// Ids deleted this session: a screen still showing one must not save it back
+const deletedIds = new Set();
+
+function queueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+export async function loadThread(id) {
+  const threads = await loadThreads();
+  return threads.find((t) => t.id === id) || null;
+}
+
+/*
+  Stores the messages of thread id, creating the thread if needed, and moves
+  it to the top. The title is derived from the first question unless the
+  thread already has one. fields (e.g. { summary }) replace stored ones;
+  the rest are kept. Returns the stored thread, or null when the thread was
+  deleted meanwhile.
+*/
+export function saveThreadMessages(id, messages, fields = {}) {
+  return queueWrite(async () => {
+    if (deletedIds.has(id)) return null;
+    const threads = await loadThreads();
+    const existing = threads.find((t) => t.id === id);
+    const now = new Date().toISOString();
+    const thread = {
+      id,
+      title: (existing && existing.title) || titleFromMessages(messages),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      messages: messages.slice(-MAX_STORED_MESSAGES),
+      summary: existing ? existing.summary : undefined,
+      ...fields,
+    };
+    await writeThreads([thread, ...threads.filter((t) => t.id !== id)]);
+    return thread;
+  });
+}
+
+/*
+  Replaces the stored messages of thread id with fn(messages), read and
+  written in one queued step. Returns the stored thread, or null if there
+  is no such thread.
+*/
+export function updateThreadMessages(id, fn) {
+  return queueWrite(async () => {
+    const threads = await loadThreads();
+    const existing = threads.find((t) => t.id === id);
+    if (!existing) return null;
+    const thread = {
+      ...existing,
+      updatedAt: new Date().toISOString(),
+      messages: fn(existing.messages).slice(-MAX_STORED_MESSAGES),
+    };
+    await writeThreads([thread, ...threads.filter((t) => t.id !== id)]);
+    return thread;
+  });
+}
+
+// Renames a thread; returns the updated list
+export function renameThread(id, title) {
+  return queueWrite(async () => {
+    const threads = await loadThreads();
+    const updated = threads.map((t) => (t.id === id ? { ...t, title } : t));
+    await writeThreads(updated);
+    return updated;
+  });
+}
+
+// Removes a thread; returns the updated list
+export function deleteThread(id) {
+  deletedIds.add(id);
+  return queueWrite(async () => {
+    const threads = await loadThreads();
+    const updated = threads.filter((t) => t.id !== id);
+    await writeThreads(updated);
+    return updated;
+  });
+}
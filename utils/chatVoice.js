@@ -0,0 +1,215 @@
+// utils/chatVoice.js
+// Voice for the Ayurveda bot: hold-to-talk recording sent to the backend's
+// transcription endpoint, and replies read aloud from its text-to-speech
+// endpoint. Either endpoint may be missing on a deployment; callers check
+// isVoiceUnavailable(err) and hide the feature instead of failing repeatedly.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Platform } from "react-native";
+import { Audio } from "expo-av";
+import { File, Paths } from "expo-file-system";
+
+const TRANSCRIBE_URL = "https://ayurveda-bot-backend.onrender.com/transcribe";
+const TTS_URL = "https://ayurveda-bot-backend.onrender.com/tts";
+const REQUEST_TIMEOUT_MS = 30000;
+// Statuses meaning the deployment doesn't offer the endpoint at all
+const UNAVAILABLE_STATUSES = [404, 405, 501];
+
+export function isVoiceUnavailable(err) {
+  return UNAVAILABLE_STATUSES.includes(err.status);
+}
+
+// options.signal, if given, cancels the request along with the timeout
+async function postWithTimeout(url, { signal, ...options }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel);
+  try {
+    if (signal && signal.aborted) throw new Error("Aborted");
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      const err = new Error(`HTTP ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+}
+
+// Starts recording from the microphone; rejects if permission is refused
+export async function startVoiceRecording() {
+  const { granted } = await Audio.requestPermissionsAsync();
+  if (!granted) {
+    const err = new Error("Microphone permission is needed for voice input.");
+    err.code = "permission";
+    throw err;
+  }
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+  const { recording } = await Audio.Recording.createAsync(
+    Audio.RecordingOptionsPresets.HIGH_QUALITY
+  );
+  return recording;
+}
+
+// Stops a recording; resolves with { uri, durationMs }
+export async function stopVoiceRecording(recording) {
+  let durationMs = 0;
+  try {
+    const status = await recording.stopAndUnloadAsync();
+    durationMs = status.durationMillis || 0;
+  } finally {
+    // Back to playback mode, or replies would play through the earpiece on iOS
+    await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+  }
+  return { uri: recording.getURI(), durationMs };
+}
+
+// Uploads the recording as multipart field 'audio'; resolves with the transcript
+export async function transcribeAudio(uri) {
+  const name = uri.split("/").pop() || "question.m4a";
+  const form = new FormData();
+  form.append("audio", {
+    uri: Platform.OS === "android" ? uri : uri.replace("file://", ""),
+    name,
+    type: name.endsWith(".wav") ? "audio/wav" : "audio/m4a",
+  });
+  const response = await postWithTimeout(TRANSCRIBE_URL, { method: "POST", body: form });
+  const data = await response.json();
+  return (data.text ?? data.transcript ?? "").trim();
+}
+
+// Markdown markers read aloud would be noise
+export function speechText(markdown) {
+  return markdown
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_#`>|~]/g, "")
+    .replace(/^\s*[-+]\s+/gm, "")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+}
+
+const SPEECH_FILE_PREFIX = "bot-reply-";
+
+function writeSpeechFile(bytes, extension) {
+  const file = new File(Paths.cache, `${SPEECH_FILE_PREFIX}${Date.now()}.${extension}`);
+  file.create();
+  file.write(bytes);
+  return file.uri;
+}
+
+// Removes a file written by writeSpeechFile; remote URLs are left alone
+function deleteSpeechFile(uri) {
+  if (!uri.startsWith(Paths.cache.uri) || !uri.includes(SPEECH_FILE_PREFIX)) return;
+  try {
+    const file = new File(uri);
+    if (file.exists) file.delete();
+  } catch (err) {
+    console.warn("Failed deleting speech file:", err);
+  }
+}
+
+/*
+  Fetches speech for text. The endpoint may answer with audio bytes, or JSON
+  holding either a url or base64 audio. Resolves with a playable URI.
+  signal: optional AbortSignal cancelling the request
+*/
+export async function fetchSpeech(text, { signal } = {}) {
+  const response = await postWithTimeout(TTS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text: speechText(text) }),
+    signal,
+  });
+  const type = response.headers.get("Content-Type") || "";
+  if (type.startsWith("audio/")) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return writeSpeechFile(bytes, type.includes("wav") ? "wav" : "mp3");
+  }
+  const data = await response.json();
+  if (data.url || data.audioUrl) return data.url || data.audioUrl;
+  if (data.audio) {
+    const bytes = Uint8Array.from(atob(data.audio), (c) => c.charCodeAt(0));
+    return writeSpeechFile(bytes, (data.format || "mp3").replace(/^audio\//, ""));
+  }
+  throw new Error("No audio in the speech response.");
+}
+
+/*
+  Plays replies aloud, one at a time. speak(text) fetches (or reuses) the
+  audio; calling it for the text already playing stops it.
+  Returns { speak, stop, speaking, preparing } where the last two are the
+  text currently playing / being fetched. onError(err) reports failures.
+  Audio written to the cache is deleted when the player unmounts.
+*/
+export function useSpeechPlayer(onError) {
+  const soundRef = useRef(null);
+  const cacheRef = useRef(new Map()); // text -> audio URI
+  // The running speak() call: { controller } — replaced or cleared by the
+  // next speak() or stop(), which makes anything it still produces stale
+  const requestRef = useRef(null);
+  const [speaking, setSpeaking] = useState(null);
+  const [preparing, setPreparing] = useState(null);
+
+  const stop = useCallback(() => {
+    if (requestRef.current) requestRef.current.controller.abort();
+    requestRef.current = null;
+    const sound = soundRef.current;
+    soundRef.current = null;
+    setSpeaking(null);
+    setPreparing(null);
+    if (sound) sound.unloadAsync().catch(() => {});
+  }, []);
+
+  useEffect(
+    () => () => {
+      stop();
+      cacheRef.current.forEach(deleteSpeechFile);
+      cacheRef.current.clear();
+    },
+    [stop]
+  );
+
+  const speak = useCallback(
+    async (text) => {
+      const wasSpeaking = speaking;
+      stop();
+      if (wasSpeaking === text) return;
+      const request = { controller: new AbortController() };
+      requestRef.current = request;
+      const isCurrent = () => requestRef.current === request;
+      setPreparing(text);
+      try {
+        let uri = cacheRef.current.get(text);
+        if (!uri) {
+          uri = await fetchSpeech(text, { signal: request.controller.signal });
+          if (!isCurrent()) {
+            deleteSpeechFile(uri);
+            return;
+          }
+          cacheRef.current.set(text, uri);
+        }
+        const { sound } = await Audio.Sound.createAsync({ uri }, { shouldPlay: true });
+        if (!isCurrent()) {
+          // Stopped, superseded or unmounted while loading
+          sound.unloadAsync().catch(() => {});
+          return;
+        }
+        soundRef.current = sound;
+        setSpeaking(text);
+        sound.setOnPlaybackStatusUpdate((status) => {
+          if (status.didJustFinish && soundRef.current === sound) stop();
+        });
+      } catch (err) {
+        if (isCurrent() && onError) onError(err);
+      } finally {
+        if (isCurrent()) setPreparing(null);
+      }
+    },
+    [speaking, stop, onError]
+  );
+
+  return { speak, stop, speaking, preparing };
+}
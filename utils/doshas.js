@@ -0,0 +1,17 @@
+// utils/doshas.js
+// The three doshas, with the names and colours every screen shows them in.
+// Shared by the Nadi pulse reading and the Prakriti questionnaire.
+
+export const DOSHAS = ["vata", "pitta", "kapha"];
+
+export const DOSHA_LABELS = {
+  vata: "Vata",
+  pitta: "Pitta",
+  kapha: "Kapha",
+};
+
+export const DOSHA_COLORS = {
+  vata: "#60a5fa",
+  pitta: "#f87171",
+  kapha: "#4ade80",
+};
@@ -0,0 +1,227 @@
+// utils/frameSampler.js
+// Grabs low-resolution stills from a CameraView and reduces each one to its
+// mean R/G/B intensity, giving a PPG time series without uploading anything.
+// Stills come at a few frames per second at best, and some devices refuse them
+// while video is recording; when that leaves too few and a clip was recorded
+// anyway, extractClipFrames() can decode it afterwards instead.
+import * as ImageManipulator from "expo-image-manipulator";
+import * as VideoThumbnails from "expo-video-thumbnails";
+import { File } from "expo-file-system";
+import { decode as decodeJpeg } from "jpeg-js";
+
+// Some decoders only seek to keyframes (Android returns the closest sync frame),
+// giving runs of identical frames; beyond this share the clip is not used
+const MAX_REPEATED_FRAME_SHARE = 0.1;
+// A recording ends slightly before it was stopped; read errors this close to
+// the end mean the clip is over
+const CLIP_END_TOLERANCE_MS = 1000;
+
+// Frames are shrunk to this width before decoding; the mean colour is all we need
+const FRAME_SAMPLE_WIDTH = 32;
+
+// Give up after this many consecutive capture failures (e.g. the camera
+// refuses stills while it is recording video on some devices)
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/*
+  Mean channel intensities (0–255) of a decoded RGBA image, or of the part of
+  it given by rect ({ x, y, width, height } in fractions of the image)
+*/
+function meanRgb(image, rect = { x: 0, y: 0, width: 1, height: 1 }) {
+  const x0 = Math.floor(rect.x * image.width);
+  const y0 = Math.floor(rect.y * image.height);
+  const x1 = Math.max(x0 + 1, Math.round((rect.x + rect.width) * image.width));
+  const y1 = Math.max(y0 + 1, Math.round((rect.y + rect.height) * image.height));
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let pixels = 0;
+  for (let y = y0; y < Math.min(y1, image.height); y++) {
+    for (let x = x0; x < Math.min(x1, image.width); x++) {
+      const i = (y * image.width + x) * 4;
+      r += image.data[i];
+      g += image.data[i + 1];
+      b += image.data[i + 2];
+      pixels += 1;
+    }
+  }
+  pixels = pixels || 1;
+  return { r: r / pixels, g: g / pixels, b: b / pixels };
+}
+
+/*
+  Maps a region given in preview fractions onto fractions of the upright
+  picture. The preview shows the picture scaled to cover a box of
+  previewAspect (width / height), so one axis is partly cut off on screen.
+*/
+function previewRegionToPicture(region, pictureWidth, pictureHeight) {
+  const pictureAspect = pictureWidth / pictureHeight;
+  const previewAspect = region.previewAspect || pictureAspect;
+  // Visible share of the picture along each axis
+  const sx = pictureAspect > previewAspect ? previewAspect / pictureAspect : 1;
+  const sy = pictureAspect > previewAspect ? 1 : pictureAspect / previewAspect;
+  return {
+    x: 0.5 + (region.x - 0.5) * sx,
+    y: 0.5 + (region.y - 0.5) * sy,
+    width: region.width * sx,
+    height: region.height * sy,
+  };
+}
+
+// Whether an EXIF orientation means the stored pixels are turned a quarter
+const isQuarterTurn = (orientation) => orientation === 6 || orientation === 8;
+
+/*
+  Maps a box in fractions of the upright picture onto the stored (unprocessed)
+  pixels, which are still in sensor orientation: EXIF 6 and 8 are turned a
+  quarter clockwise / anticlockwise, 3 is upside down.
+*/
+function uprightToStored(box, orientation) {
+  switch (orientation) {
+    case 3:
+      return { ...box, x: 1 - box.x - box.width, y: 1 - box.y - box.height };
+    case 6:
+      return { x: box.y, y: 1 - box.x - box.width, width: box.height, height: box.width };
+    case 8:
+      return { x: 1 - box.y - box.height, y: box.x, width: box.height, height: box.width };
+    default:
+      return box;
+  }
+}
+
+/*
+  Mean colour of an image file ({ uri, width, height } as stored, with its
+  EXIF orientation), optionally of a region only. With region.patches
+  (boxes in fractions of the region) the patches are averaged separately too;
+  the overall colour is then their mean.
+*/
+async function imageStats(image, region, orientation = 1) {
+  const actions = [{ resize: { width: FRAME_SAMPLE_WIDTH } }];
+  if (region && image.width && image.height) {
+    const [uprightWidth, uprightHeight] = isQuarterTurn(orientation)
+      ? [image.height, image.width]
+      : [image.width, image.height];
+    const box = uprightToStored(
+      previewRegionToPicture(region, uprightWidth, uprightHeight),
+      orientation
+    );
+    actions.unshift({
+      crop: {
+        originX: Math.round(box.x * image.width),
+        originY: Math.round(box.y * image.height),
+        width: Math.round(box.width * image.width),
+        height: Math.round(box.height * image.height),
+      },
+    });
+  }
+
+  const small = await ImageManipulator.manipulateAsync(
+    image.uri,
+    actions,
+    { compress: 1, format: ImageManipulator.SaveFormat.JPEG, base64: true }
+  );
+
+  if (!small || !small.base64) throw new Error("Failed to read camera frame");
+
+  const decoded = decodeJpeg(base64ToBytes(small.base64), { useTArray: true });
+  if (!region || !region.patches) return meanRgb(decoded);
+
+  const patches = region.patches.map((p) => meanRgb(decoded, uprightToStored(p, orientation)));
+  const avg = (key) => patches.reduce((sum, p) => sum + p[key], 0) / patches.length;
+  return { r: avg("r"), g: avg("g"), b: avg("b"), patches };
+}
+
+/*
+  region: optional { x, y, width, height, previewAspect, patches } in
+  fractions of the camera preview; only that part of the picture is averaged.
+  Pictures are taken unprocessed (much faster); a region is mapped through
+  the picture's EXIF orientation instead of rotating it upright first.
+*/
+export async function captureFrameStats(camera, region) {
+  const photo = await camera.takePictureAsync({
+    quality: 0.1,
+    skipProcessing: true,
+    exif: !!region,
+    shutterSound: false,
+  });
+  const orientation = Number(photo.exif && photo.exif.Orientation) || 1;
+  return imageStats(photo, region, orientation);
+}
+
+// Whether successive frames really differ, rather than repeating a keyframe
+function hasDistinctFrames(frames) {
+  let repeated = 0;
+  for (let i = 1; i < frames.length; i++) {
+    const a = frames[i - 1];
+    const b = frames[i];
+    if (a.r === b.r && a.g === b.g && a.b === b.b) repeated += 1;
+  }
+  return frames.length > 1 && repeated / (frames.length - 1) <= MAX_REPEATED_FRAME_SHARE;
+}
+
+/*
+  Decodes a recorded clip of durationMs (as recorded) into { t, r, g, b }
+  frames, fps per second. Each frame is a separate decode, so this is slow:
+  use it only when the live stills are unusable. Rejects when a frame can't
+  be read before the end of the clip, or when the decoder returns repeated
+  frames instead of the ones asked for.
+*/
+export async function extractClipFrames(uri, { durationMs, fps = 10, region } = {}) {
+  const frames = [];
+  const step = 1000 / fps;
+  for (let t = 0; t < durationMs; t += step) {
+    let thumb;
+    try {
+      thumb = await VideoThumbnails.getThumbnailAsync(uri, { time: Math.round(t), quality: 0.3 });
+    } catch (err) {
+      if (frames.length && t >= durationMs - CLIP_END_TOLERANCE_MS) break;
+      throw err;
+    }
+    try {
+      frames.push({ t: Math.round(t), ...(await imageStats(thumb, region)) });
+    } finally {
+      new File(thumb.uri).delete();
+    }
+  }
+  if (!hasDistinctFrames(frames)) {
+    throw new Error("This device can't read the recorded clip frame by frame.");
+  }
+  return frames;
+}
+
+/*
+  Samples frames back-to-back for durationMs.
+  - onFrame(frame, frames) is called after each frame ({ t, r, g, b }, t in ms from start)
+  - signal: optional AbortSignal to stop early
+  - region: optional crop passed to captureFrameStats
+  Resolves with the collected frames (possibly empty if the camera refused stills).
+*/
+export async function sampleFrames(camera, { durationMs, onFrame, signal, region } = {}) {
+  const frames = [];
+  const start = Date.now();
+  let failures = 0;
+
+  while (Date.now() - start < durationMs && !(signal && signal.aborted)) {
+    const t = Date.now() - start;
+    try {
+      const stats = await captureFrameStats(camera, region);
+      const frame = { t, ...stats };
+      frames.push(frame);
+      failures = 0;
+      if (onFrame) onFrame(frame, frames);
+    } catch (err) {
+      failures += 1;
+      console.warn("Frame capture failed:", err?.message ?? err);
+      if (failures >= MAX_CONSECUTIVE_FAILURES) break;
+    }
+  }
+
+  return frames;
+}
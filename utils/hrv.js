@@ -0,0 +1,135 @@
+// utils/hrv.js
+// Heart-rate variability from inter-beat intervals (IBIs, in ms).
+import { mean, median } from "./ppg";
+
+// Physiologically plausible beat spacing (30–200 BPM)
+const MIN_IBI_MS = 300;
+const MAX_IBI_MS = 2000;
+
+// Intervals further than this from the median are treated as missed/extra beats
+const MAX_MEDIAN_DEVIATION = 0.2;
+
+// Below this camera frame rate beat timing is too coarse for beat-to-beat
+// statistics: RMSSD then mostly measures the frame spacing
+const MIN_HRV_FRAME_RATE = 15;
+
+export const HRV_CONFIDENCE = {
+  HIGH: "high",
+  MEDIUM: "medium",
+  LOW: "low",
+};
+
+/*
+  Pulls IBIs out of a local analysis result or a backend response. Accepts
+  explicit interval arrays, or peak indexes plus the sampling rate.
+  Returns an array (possibly empty).
+*/
+export function extractIntervals(result) {
+  if (!result) return [];
+  const explicit = result.intervals || result.ibi_ms || result.rr_intervals;
+  if (Array.isArray(explicit)) return explicit.map(Number).filter(Number.isFinite);
+
+  const peaks = result.peaks || result.peak_indices;
+  const fs = Number(result.fs || result.fps);
+  if (!Array.isArray(peaks) || !fs) return [];
+  const intervals = [];
+  for (let i = 1; i < peaks.length; i++) {
+    intervals.push(((peaks[i] - peaks[i - 1]) * 1000) / fs);
+  }
+  return intervals;
+}
+
+// Whether an interval is a possible beat spacing at all; shared by every beat statistic
+export function isPlausibleInterval(v) {
+  return v >= MIN_IBI_MS && v <= MAX_IBI_MS;
+}
+
+// Drops only physiologically impossible intervals, keeping irregular beats
+export function plausibleIntervals(intervals) {
+  return intervals.filter(isPlausibleInterval);
+}
+
+// For each interval, whether it is in range and close enough to the median m
+function cleanMask(intervals, m = median(intervals.filter(isPlausibleInterval))) {
+  return intervals.map((v) => isPlausibleInterval(v) && Math.abs(v - m) <= m * MAX_MEDIAN_DEVIATION);
+}
+
+/*
+  Camera frames per second behind a local analysis result or a backend
+  response, or null when it doesn't say
+*/
+export function extractFrameRate(result) {
+  if (!result) return null;
+  const rate = Number(result.frameRate || result.fps);
+  return rate > 0 ? rate : null;
+}
+
+// Drops out-of-range intervals and ones far from the median
+export function cleanIntervals(intervals) {
+  const mask = cleanMask(intervals);
+  return intervals.filter((_, i) => mask[i]);
+}
+
+/*
+  Differences between successive clean intervals. Only pairs adjacent in the
+  original series count: the beats either side of a rejected interval are not
+  successive, and their difference would inflate RMSSD.
+*/
+function successiveDifferences(intervals, m) {
+  const mask = cleanMask(intervals, m);
+  const diffs = [];
+  for (let i = 1; i < intervals.length; i++) {
+    if (mask[i] && mask[i - 1]) diffs.push(intervals[i] - intervals[i - 1]);
+  }
+  return diffs;
+}
+
+/*
+  series: one interval list, or one per capture when several are pooled
+  (successive differences never span two captures).
+  frameRate: the lowest camera frame rate the intervals came from, if known.
+  Returns { meanIbi, sdnn, rmssd, pnn50, beatCount, rejected, confidence }
+  or null when there are too few intervals to say anything.
+  Confidence reflects how many clean intervals there are, how many were
+  rejected, and is always low below MIN_HRV_FRAME_RATE.
+*/
+export function computeHrv(series, { frameRate = null } = {}) {
+  if (!series) return null;
+  const captures = Array.isArray(series[0]) ? series : [series];
+  const intervals = captures.flat();
+  if (intervals.length < 3) return null;
+
+  const clean = cleanIntervals(intervals);
+  if (clean.length < 3) return null;
+
+  const meanIbi = mean(clean);
+  const sdnn = Math.sqrt(
+    clean.reduce((sum, v) => sum + (v - meanIbi) * (v - meanIbi), 0) / (clean.length - 1)
+  );
+
+  const m = median(intervals.filter(isPlausibleInterval));
+  const diffs = captures.flatMap((capture) => successiveDifferences(capture, m));
+  if (diffs.length < 2) return null;
+  const rmssd = Math.sqrt(mean(diffs.map((d) => d * d)));
+  const pnn50 = (diffs.filter((d) => Math.abs(d) > 50).length / diffs.length) * 100;
+
+  const rejected = intervals.length - clean.length;
+  const rejectedRatio = rejected / intervals.length;
+
+  // Beat timing too coarse to trust, however many beats there are
+  const coarse = frameRate !== null && frameRate < MIN_HRV_FRAME_RATE;
+  let confidence = HRV_CONFIDENCE.LOW;
+  if (!coarse && clean.length >= 30 && rejectedRatio < 0.1) confidence = HRV_CONFIDENCE.HIGH;
+  else if (!coarse && clean.length >= 15 && rejectedRatio < 0.25) confidence = HRV_CONFIDENCE.MEDIUM;
+
+  return {
+    meanIbi: Math.round(meanIbi),
+    sdnn: Math.round(sdnn * 10) / 10,
+    rmssd: Math.round(rmssd * 10) / 10,
+    pnn50: Math.round(pnn50 * 10) / 10,
+    // Each capture's first beat starts no interval
+    beatCount: intervals.length + captures.filter((c) => c.length).length,
+    rejected,
+    confidence,
+  };
+}
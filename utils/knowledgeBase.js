@@ -0,0 +1,138 @@
+// utils/knowledgeBase.js
+// Search over the bundled Ayurveda knowledge base (data/ayurvedaKnowledge.json):
+// herbs, dosha guidance, diet and home remedies. Used by the Herbs & Remedies
+// screen and by the chat to answer when the bot backend can't be reached.
+// Matching is keyword based and tolerates typos and word endings.
+import KNOWLEDGE from "../data/ayurvedaKnowledge.json";
+
+export { KNOWLEDGE };
+
+export const ENTRY_TYPE_LABELS = KNOWLEDGE.types;
+
+// Entries scoring below this don't answer a question
+const MIN_ANSWER_SCORE = 3;
+const MAX_ANSWER_ENTRIES = 2;
+
+const STOPWORDS = new Set(
+  (
+    "the and for with what which how can does should about good best take taking " +
+    "are was you your have has any from into that this there their them when why " +
+    "who will would could also some more most much very help helps use used using " +
+    "ayurveda ayurvedic tell know please want need get"
+  ).split(" ")
+);
+
+// Field weights: a hit on the title counts most, the summary least
+const FIELD_WEIGHTS = { title: 5, aliases: 4, keywords: 3, summary: 1 };
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w));
+}
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well a query token matches an indexed word, from 0 to 1
+function wordMatch(token, word) {
+  if (token === word) return 1;
+  if (Math.min(token.length, word.length) >= 4 && (word.startsWith(token) || token.startsWith(word))) {
+    return 0.8;
+  }
+  if (token.length < 4) return 0;
+  const allowed = token.length >= 7 ? 2 : 1;
+  return editDistance(token, word, allowed) <= allowed ? 0.6 : 0;
+}
+
+const index = KNOWLEDGE.entries.map((entry) => ({
+  entry,
+  phrases: [entry.title, ...entry.aliases, ...entry.keywords].map((p) => p.toLowerCase()),
+  fields: {
+    title: tokenize(entry.title),
+    aliases: entry.aliases.flatMap(tokenize),
+    keywords: entry.keywords.flatMap(tokenize),
+    summary: tokenize(entry.summary),
+  },
+}));
+
+function scoreEntry(item, tokens, phrase) {
+  let score = 0;
+  tokens.forEach((token) => {
+    let best = 0;
+    Object.entries(item.fields).forEach(([field, words]) => {
+      words.forEach((word) => {
+        best = Math.max(best, wordMatch(token, word) * FIELD_WEIGHTS[field]);
+      });
+    });
+    score += best;
+  });
+  // Multi-word names ("holy basil", "sore throat") said in full
+  item.phrases.forEach((p) => {
+    if (p.includes(" ") && phrase.includes(p)) score += 3;
+  });
+  return score;
+}
+
+/*
+  Entries matching query, best first, as { entry, score }.
+  type: limit to one entry type; an empty query lists every entry of it.
+*/
+export function searchKnowledge(query, { type = null } = {}) {
+  const candidates = type ? index.filter((i) => i.entry.type === type) : index;
+  const tokens = tokenize(query);
+  if (!tokens.length) return candidates.map((i) => ({ entry: i.entry, score: 0 }));
+  const phrase = query.toLowerCase();
+  return candidates
+    .map((i) => ({ entry: i.entry, score: scoreEntry(i, tokens, phrase) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+export function findEntry(id) {
+  return KNOWLEDGE.entries.find((e) => e.id === id) || null;
+}
+
+/*
+  A Markdown answer to question from the knowledge base, clearly labelled as
+  offline, or a pointer to the Herbs & Remedies screen when nothing matches.
+  Returns { content, entryIds }.
+*/
+export function answerOffline(question) {
+  const results = searchKnowledge(question).filter((r) => r.score >= MIN_ANSWER_SCORE);
+  const top = results
+    .filter((r) => r.score >= results[0]?.score * 0.6)
+    .slice(0, MAX_ANSWER_ENTRIES)
+    .map((r) => r.entry);
+
+  const header =
+    "📴 **Offline answer** — the Ayurveda Bot can't be reached, so this comes from the app's built-in guide.";
+  if (!top.length) {
+    return {
+      content: `${header}\n\nI couldn't find that in the offline guide. Try naming an herb, a dosha or a concern such as *acidity* or *sleep*, or browse **Herbs & Remedies**.`,
+      entryIds: [],
+    };
+  }
+  const sections = top.map((e) =>
+    [`### ${e.title}`, e.body, e.cautions ? `> ⚠️ ${e.cautions}` : null].filter(Boolean).join("\n\n")
+  );
+  return {
+    content: [header, ...sections, `_${KNOWLEDGE.disclaimer}_`].join("\n\n"),
+    entryIds: top.map((e) => e.id),
+  };
+}
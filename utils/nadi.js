@@ -0,0 +1,112 @@
+// utils/nadi.js
+// Nadi Pariksha-style reading of a fingertip pulse: rate, rhythm regularity,
+// volume and upstroke sharpness are measured from the PPG and scored against
+// the Vata/Pitta/Kapha rule table in data/nadiRules.json, which practitioners
+// can tune without touching this code. Traditional interpretation, not medical advice.
+import NADI_RULES from "../data/nadiRules.json";
+import { PPG_SAMPLE_RATE, lowpassFilter, mean, median, resampleUniform, std } from "./ppg";
+import { plausibleIntervals } from "./hrv";
+import { DOSHAS } from "./doshas";
+
+// The fewest beats that give a stable median amplitude and rise time
+const MIN_BEATS = 5;
+
+// The band-passed peak and the shape signal's own top may sit a sample or two apart
+const PEAK_TOLERANCE_SEC = 0.1;
+
+/*
+  Inverted red channel, resampled like analyzePpgFrames() so its peak indexes
+  apply, and only low-passed: the band-pass it detects beats on rounds off the
+  upstroke and shrinks the pulse height
+*/
+function shapeWaveform(frames, fs) {
+  const sorted = [...frames].sort((a, b) => a.t - b.t);
+  return lowpassFilter(resampleUniform(sorted.map((f) => ({ t: f.t, value: -f.r })), fs), fs);
+}
+
+// Peak height above the preceding trough, and the share of the beat spent rising to it
+function beatShapes(waveform, peaks, fs) {
+  const tolerance = Math.round(PEAK_TOLERANCE_SEC * fs);
+  const shapes = [];
+  for (let i = 1; i < peaks.length; i++) {
+    const start = peaks[i - 1];
+    let trough = start;
+    for (let j = start; j < peaks[i]; j++) {
+      if (waveform[j] < waveform[trough]) trough = j;
+    }
+    let top = trough;
+    for (let j = trough; j <= Math.min(peaks[i] + tolerance, waveform.length - 1); j++) {
+      if (waveform[j] > waveform[top]) top = j;
+    }
+    const length = peaks[i] - start;
+    shapes.push({
+      height: waveform[top] - waveform[trough],
+      rise: Math.min(1, (top - trough) / length),
+    });
+  }
+  return shapes;
+}
+
+/*
+  frames: the raw { t, r, g, b } frames of a fingertip capture
+  analysis: its analyzePpgFrames() result
+  Returns { rate, regularity, amplitude, upstroke } or null when there are too
+  few beats. amplitude is the pulse height as a percentage of the mean red level.
+*/
+export function derivePulseCharacteristics(frames, analysis) {
+  if (!analysis || !analysis.waveform || analysis.peaks.length <= MIN_BEATS) return null;
+
+  const fs = analysis.fs || PPG_SAMPLE_RATE;
+  const shapes = beatShapes(shapeWaveform(frames, fs), analysis.peaks, fs);
+  // Not cleanIntervals(): it drops the very beats that make a pulse irregular
+  const intervals = plausibleIntervals(analysis.intervals);
+  if (intervals.length < MIN_BEATS) return null;
+
+  const light = mean(frames.map((f) => f.r)) || 1;
+  return {
+    rate: analysis.bpm,
+    regularity: Math.round((std(intervals) / mean(intervals)) * 1000) / 1000,
+    amplitude: Math.round((median(shapes.map((s) => s.height)) / light) * 10000) / 100,
+    upstroke: Math.round(median(shapes.map((s) => s.rise)) * 100) / 100,
+  };
+}
+
+function classify(value, feature) {
+  return feature.bands.find((b) => b.max === undefined || value <= b.max);
+}
+
+/*
+  Scores characteristics against the rule table.
+  Returns { scores: { vata, pitta, kapha } in percent, dominant: ["pitta"] or
+  two doshas when they are close, traits: [{ feature, label, level, value }] }.
+*/
+export function interpretPulse(characteristics, rules = NADI_RULES) {
+  if (!characteristics) return null;
+
+  const totals = { vata: 0, pitta: 0, kapha: 0 };
+  const traits = [];
+  Object.entries(rules.features).forEach(([key, feature]) => {
+    const value = characteristics[key];
+    if (typeof value !== "number") return;
+    const band = classify(value, feature);
+    traits.push({ feature: key, label: feature.label, level: band.label, value });
+    rules.rules
+      .filter((r) => r.feature === key && r.level === band.level)
+      .forEach((r) => DOSHAS.forEach((d) => (totals[d] += r.weights[d] || 0)));
+  });
+
+  const sum = DOSHAS.reduce((s, d) => s + totals[d], 0) || 1;
+  const scores = {};
+  DOSHAS.forEach((d) => (scores[d] = Math.round((totals[d] / sum) * 100)));
+
+  const ranked = [...DOSHAS].sort((a, b) => scores[b] - scores[a]);
+  const dominant =
+    scores[ranked[0]] - scores[ranked[1]] <= rules.dualThreshold ? ranked.slice(0, 2) : ranked.slice(0, 1);
+
+  return { scores, dominant, traits };
+}
+
+// Labels and descriptions for a dosha key, from the rule table
+export function doshaInfo(dosha, rules = NADI_RULES) {
+  return rules.doshas[dosha];
+}
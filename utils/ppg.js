@@ -0,0 +1,339 @@
+// utils/ppg.js
+// Photoplethysmography (PPG) signal processing for on-device pulse analysis.
+// Input frames look like { t, r, g, b } where t is ms since the scan started
+// and r/g/b are the mean channel intensities of that camera frame.
+
+export const PPG_MIN_BPM = 40;
+export const PPG_MAX_BPM = 200;
+
+// Frames arrive at an irregular rate, so everything is resampled to this rate first
+export const PPG_SAMPLE_RATE = 30;
+
+// Pass band in Hz (~42–210 BPM)
+const BAND_LOW_HZ = 0.7;
+const BAND_HIGH_HZ = 3.5;
+// Pulse shape has content up to ~10 Hz; above that is mostly noise
+const SHAPE_HIGH_HZ = 8;
+
+const MIN_FRAMES = 20;
+const MIN_DURATION_SEC = 4;
+const MIN_FRAME_RATE = 4;
+
+export function mean(values) {
+  if (!values.length) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+export function std(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) * (v - m))));
+}
+
+export function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Linear interpolation of { t, value } samples (t in ms) onto a uniform grid
+export function resampleUniform(samples, fs) {
+  if (!samples || samples.length < 2) return [];
+  const start = samples[0].t;
+  const end = samples[samples.length - 1].t;
+  const step = 1000 / fs;
+  const out = [];
+  let j = 0;
+  for (let t = start; t <= end; t += step) {
+    while (j < samples.length - 2 && samples[j + 1].t < t) j++;
+    const a = samples[j];
+    const b = samples[j + 1];
+    const span = b.t - a.t || 1;
+    const k = Math.min(Math.max((t - a.t) / span, 0), 1);
+    out.push(a.value + (b.value - a.value) * k);
+  }
+  return out;
+}
+
+// RBJ cookbook biquad, Butterworth Q
+function biquadCoefficients(type, cutoffHz, fs) {
+  const w0 = (2 * Math.PI * cutoffHz) / fs;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) * Math.SQRT1_2;
+  const a0 = 1 + alpha;
+  const b =
+    type === "lowpass"
+      ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+      : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  return {
+    b0: b[0] / a0,
+    b1: b[1] / a0,
+    b2: b[2] / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0,
+  };
+}
+
+function applyBiquad(signal, c) {
+  const out = new Array(signal.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < signal.length; i++) {
+    const x = signal[i];
+    const y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+// Zero-phase filtering (forward + backward) with mirrored padding to tame edge transients
+function filtfilt(signal, c, padLength) {
+  const pad = Math.min(signal.length - 1, padLength);
+  const head = signal.slice(1, pad + 1).reverse();
+  const tail = signal.slice(-pad - 1, -1).reverse();
+  const padded = [...head, ...signal, ...tail];
+  const forward = applyBiquad(padded, c);
+  const backward = applyBiquad(forward.reverse(), c).reverse();
+  return backward.slice(pad, pad + signal.length);
+}
+
+export function bandpassFilter(signal, fs, lowHz = BAND_LOW_HZ, highHz = BAND_HIGH_HZ) {
+  if (!signal || signal.length < 3) return signal ? [...signal] : [];
+  const m = mean(signal);
+  // Pad by at least one period of the lowest frequency kept
+  const pad = Math.max(3 * fs, Math.round(fs / lowHz));
+  let out = signal.map((v) => v - m);
+  out = filtfilt(out, biquadCoefficients("highpass", lowHz, fs), pad);
+  // Skip the low-pass when the cutoff is too close to Nyquist to be meaningful
+  if (highHz < fs * 0.45) {
+    out = filtfilt(out, biquadCoefficients("lowpass", highHz, fs), pad);
+  }
+  return out;
+}
+
+/*
+  Low-pass only: smooths sensor noise but keeps the slow baseline and the
+  beat shape (upstroke, dicrotic notch) that the band-pass flattens
+*/
+export function lowpassFilter(signal, fs, highHz = SHAPE_HIGH_HZ) {
+  if (!signal || signal.length < 3 || highHz >= fs * 0.45) return signal ? [...signal] : [];
+  return filtfilt(signal, biquadCoefficients("lowpass", highHz, fs), 3 * fs);
+}
+
+// Local maxima above an adaptive threshold, at least one max-BPM period apart
+export function detectPeaks(signal, fs, maxBpm = PPG_MAX_BPM) {
+  if (!signal || signal.length < 3) return [];
+  const minDistance = Math.max(1, Math.floor((fs * 60) / maxBpm));
+  const threshold = mean(signal) + 0.3 * std(signal);
+
+  const candidates = [];
+  for (let i = 1; i < signal.length - 1; i++) {
+    if (signal[i] > signal[i - 1] && signal[i] >= signal[i + 1] && signal[i] > threshold) {
+      candidates.push(i);
+    }
+  }
+
+  // Keep the tallest candidate within each refractory window
+  const accepted = [];
+  candidates
+    .sort((a, b) => signal[b] - signal[a])
+    .forEach((i) => {
+      if (accepted.every((j) => Math.abs(i - j) >= minDistance)) accepted.push(i);
+    });
+  return accepted.sort((a, b) => a - b);
+}
+
+/*
+  Position of the peak at sample i to a fraction of a sample, from the
+  parabola through it and its neighbours
+*/
+export function refinePeak(signal, i) {
+  if (i <= 0 || i >= signal.length - 1) return i;
+  const a = signal[i - 1];
+  const b = signal[i];
+  const c = signal[i + 1];
+  const curvature = a - 2 * b + c;
+  if (curvature >= 0) return i;
+  return i + Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / curvature));
+}
+
+/*
+  Inter-beat intervals in ms from peak sample indexes. With the signal the
+  peaks came from, each peak is refined between samples first; whole samples
+  alone quantize intervals to 1000 / fs ms, which reads as variability.
+*/
+export function peakIntervals(peaks, fs, signal = null) {
+  const times = signal ? peaks.map((p) => refinePeak(signal, p)) : peaks;
+  const intervals = [];
+  for (let i = 1; i < times.length; i++) {
+    intervals.push(((times[i] - times[i - 1]) * 1000) / fs);
+  }
+  return intervals;
+}
+
+// Sorts frames and checks there are enough of them, densely enough, to analyze
+function prepareFrames(frames) {
+  if (!frames || frames.length < MIN_FRAMES) {
+    throw new Error("Not enough camera frames were captured for on-device analysis.");
+  }
+
+  const sorted = [...frames].sort((a, b) => a.t - b.t);
+  const durationSec = (sorted[sorted.length - 1].t - sorted[0].t) / 1000;
+  if (durationSec < MIN_DURATION_SEC) {
+    throw new Error("Recording was too short for on-device analysis.");
+  }
+
+  const frameRate = (sorted.length - 1) / durationSec;
+  if (frameRate < MIN_FRAME_RATE) {
+    throw new Error("Camera frame rate is too low for on-device analysis.");
+  }
+
+  return { sorted, durationSec, frameRate };
+}
+
+// Whether there are enough frames, densely enough, for on-device analysis
+export function canAnalyzeFrames(frames) {
+  try {
+    prepareFrames(frames);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Peaks -> intervals -> BPM on an already band-passed waveform
+function measureWaveform(waveform, fs) {
+  const peaks = detectPeaks(waveform, fs);
+
+  if (peaks.length < 3) {
+    throw new Error("Could not detect enough heartbeats. Keep steady and try again.");
+  }
+
+  const intervals = peakIntervals(peaks, fs, waveform);
+  const bpm = Math.round(60000 / median(intervals));
+
+  if (bpm < PPG_MIN_BPM || bpm > PPG_MAX_BPM) {
+    throw new Error("Detected heart rate is out of range. Please try again.");
+  }
+
+  return { bpm, peaks, intervals };
+}
+
+/*
+  Fingertip pipeline: red channel -> uniform resample -> band-pass -> peaks -> BPM.
+  Returns { bpm, fs, waveform, peaks, intervals, durationSec, frameRate } or throws
+  an Error with a user-facing message.
+*/
+export function analyzePpgFrames(frames) {
+  const { sorted, durationSec, frameRate } = prepareFrames(frames);
+
+  // More blood in the fingertip absorbs more light, so invert red to make beats point up
+  const samples = sorted.map((f) => ({ t: f.t, value: -f.r }));
+  const fs = PPG_SAMPLE_RATE;
+  const waveform = bandpassFilter(resampleUniform(samples, fs), fs);
+
+  return { ...measureWaveform(waveform, fs), fs, waveform, durationSec, frameRate };
+}
+
+/*
+  Contactless (face) pipeline using the CHROM method (de Haan & Jeanne, 2013):
+  the skin colour change from blood volume is isolated from lighting and
+  motion by combining mean-normalized R, G and B. Same return shape as
+  analyzePpgFrames.
+*/
+export function analyzeRppgFrames(frames) {
+  const { sorted, durationSec, frameRate } = prepareFrames(frames);
+  const fs = PPG_SAMPLE_RATE;
+  const waveform = chromWaveform(sorted, fs);
+  return { ...measureWaveform(waveform, fs), fs, waveform, durationSec, frameRate };
+}
+
+// CHROM pulse signal of time-sorted RGB frames, resampled to fs and band-passed
+function chromWaveform(sorted, fs) {
+  const channel = (key) => {
+    const values = resampleUniform(sorted.map((f) => ({ t: f.t, value: f[key] })), fs);
+    const m = mean(values) || 1;
+    return values.map((v) => v / m);
+  };
+  const r = channel("r");
+  const g = channel("g");
+  const b = channel("b");
+
+  const x = bandpassFilter(r.map((v, i) => 3 * v - 2 * g[i]), fs);
+  const y = bandpassFilter(r.map((v, i) => 1.5 * v + g[i] - 1.5 * b[i]), fs);
+  const alpha = std(x) / (std(y) || 1);
+  return x.map((v, i) => v - alpha * y[i]);
+}
+
+/*
+  Band-passed view of the most recent frames, for drawing while still recording.
+  face: frames of the face method, shown as the CHROM signal that is analyzed
+*/
+export function previewWaveform(frames, { windowMs = 5000, face = false } = {}) {
+  if (!frames || frames.length < 3) return [];
+  const last = frames[frames.length - 1].t;
+  const recent = frames.filter((f) => last - f.t <= windowMs);
+  const fs = PPG_SAMPLE_RATE;
+  // CHROM needs a second of samples for its band-pass
+  if (face && recent.length >= 3 && (last - recent[0].t) / 1000 >= 1) {
+    return chromWaveform(recent, fs);
+  }
+  const raw = resampleUniform(recent.map((f) => ({ t: f.t, value: -f.r })), fs);
+  if (raw.length >= fs) return bandpassFilter(raw, fs);
+  const m = mean(raw);
+  return raw.map((v) => v - m);
+}
+
+/*
+  Times (ms, on the frames' clock) of the beats in the last windowMs of a live
+  capture. A peak needs a sample after it to count, so beats show up slightly late.
+  Options as for previewWaveform, plus waveform: its result for these frames
+  and options when the caller has it already (it is the costly part).
+*/
+export function liveBeatTimes(frames, { windowMs = 5000, face = false, waveform = null } = {}) {
+  if (!waveform) waveform = previewWaveform(frames, { windowMs, face });
+  if (waveform.length < PPG_SAMPLE_RATE * 2) return [];
+  const last = frames[frames.length - 1].t;
+  const start = frames.find((f) => last - f.t <= windowMs).t;
+  return detectPeaks(waveform, PPG_SAMPLE_RATE).map((i) => start + (i * 1000) / PPG_SAMPLE_RATE);
+}
+
+/*
+  Pulls { waveform, peaks } out of a local analysis result or a backend response.
+  The backend may name the arrays waveform/signal and peaks/peak_indices.
+  Returns null when there is nothing to draw.
+*/
+export function extractWaveform(result) {
+  if (!result) return null;
+  const waveform = result.waveform || result.signal;
+  if (!Array.isArray(waveform) || waveform.length < 2) return null;
+  const values = waveform.map((v) => (Number.isFinite(Number(v)) ? Number(v) : 0));
+  const peaks = (result.peaks || result.peak_indices || [])
+    .map(Number)
+    .filter((i) => Number.isInteger(i) && i >= 0 && i < values.length);
+  return { waveform: values, peaks };
+}
+
+/*
+  Shrinks a { waveform, peaks } pair for storage: at most maxPoints samples,
+  scaled to integers in -100..100, with peaks mapped onto the kept samples.
+*/
+export function compactWaveform(trace, maxPoints = 200) {
+  if (!trace || !trace.waveform || trace.waveform.length < 2) return null;
+  const { waveform, peaks = [] } = trace;
+  const stride = Math.max(1, Math.ceil(waveform.length / maxPoints));
+  const scale = Math.max(...waveform.map(Math.abs)) || 1;
+  const values = [];
+  for (let i = 0; i < waveform.length; i += stride) {
+    values.push(Math.round((waveform[i] / scale) * 100));
+  }
+  const kept = peaks.map((p) => Math.min(values.length - 1, Math.round(p / stride)));
+  return { waveform: values, peaks: [...new Set(kept)] };
+}
@@ -0,0 +1,103 @@
+// utils/prakriti.js
+// Prakriti (birth constitution) questionnaire scoring and the saved
+// assessments. The latest assessment is the user's profile, sent with each
+// Ayurveda bot request so advice can be personalized. Questions live in
+// data/prakritiQuestions.json; each option counts towards one dosha.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import PRAKRITI_QUESTIONS from "../data/prakritiQuestions.json";
+import { DOSHAS, DOSHA_LABELS } from "./doshas";
+
+const PRAKRITI_KEY = "PRAKRITI_ASSESSMENTS";
+const MAX_ASSESSMENTS = 50;
+
+export { PRAKRITI_QUESTIONS };
+
+/*
+  answers: { [questionId]: dosha }
+  Returns { scores: { vata, pitta, kapha } as whole percentages summing to 100,
+  dominant: one or two doshas, answered } or null when nothing was answered.
+  Two doshas within dualThreshold points make a dual constitution.
+*/
+export function scorePrakriti(answers, questions = PRAKRITI_QUESTIONS) {
+  const counts = { vata: 0, pitta: 0, kapha: 0 };
+  let answered = 0;
+  questions.questions.forEach((q) => {
+    const dosha = answers[q.id];
+    if (!DOSHAS.includes(dosha)) return;
+    counts[dosha] += 1;
+    answered += 1;
+  });
+  if (!answered) return null;
+
+  const scores = {};
+  DOSHAS.forEach((d) => (scores[d] = Math.round((counts[d] / answered) * 100)));
+  // Rounding can leave the total at 99 or 101; settle the difference on the largest
+  const ranked = [...DOSHAS].sort((a, b) => counts[b] - counts[a]);
+  scores[ranked[0]] += 100 - DOSHAS.reduce((s, d) => s + scores[d], 0);
+
+  const dominant =
+    scores[ranked[0]] - scores[ranked[1]] <= questions.dualThreshold
+      ? ranked.slice(0, 2)
+      : ranked.slice(0, 1);
+  return { scores, dominant, answered };
+}
+
+// "Vata-Pitta" style name of a constitution
+export function prakritiLabel(result) {
+  return result.dominant.map((d) => DOSHA_LABELS[d]).join("-");
+}
+
+// Saved assessments, newest first
+export async function loadPrakritiAssessments() {
+  try {
+    const s = await AsyncStorage.getItem(PRAKRITI_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch (err) {
+    console.warn("Failed reading Prakriti assessments:", err);
+    return [];
+  }
+}
+
+async function writePrakritiAssessments(assessments) {
+  await AsyncStorage.setItem(PRAKRITI_KEY, JSON.stringify(assessments.slice(0, MAX_ASSESSMENTS)));
+}
+
+// The current profile: the most recent assessment, or null
+export async function loadPrakritiProfile() {
+  const assessments = await loadPrakritiAssessments();
+  return assessments[0] || null;
+}
+
+// Saves a scored assessment with its answers and returns it
+export async function addPrakritiAssessment(result, answers) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    when: new Date().toISOString(),
+    version: PRAKRITI_QUESTIONS.version,
+    ...result,
+    answers,
+  };
+  const assessments = await loadPrakritiAssessments();
+  await writePrakritiAssessments([entry, ...assessments]);
+  return entry;
+}
+
+// Removes the assessment with this id; returns the updated list
+export async function deletePrakritiAssessment(id) {
+  const assessments = await loadPrakritiAssessments();
+  const updated = assessments.filter((a) => a.id !== id);
+  await writePrakritiAssessments(updated);
+  return updated;
+}
+
+// The profile field sent with bot requests
+export function prakritiProfilePayload(entry) {
+  return {
+    prakriti: {
+      ...entry.scores,
+      dominant: entry.dominant,
+      label: prakritiLabel(entry),
+      assessedAt: entry.when,
+    },
+  };
+}
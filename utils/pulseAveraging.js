@@ -0,0 +1,34 @@
+// utils/pulseAveraging.js
+// Combines several BPM readings from consecutive captures into one.
+import { mean, median, std } from "./ppg";
+
+// Readings further than this many scaled MADs from the median are discarded
+const OUTLIER_MADS = 3;
+// ...but never discard anything within this many BPM of the median
+const MIN_OUTLIER_BPM = 5;
+
+/*
+  Returns { bpm, spread, min, max, used, discarded } where spread is the
+  standard deviation of the kept readings, or null when there are none.
+*/
+export function averageMeasurements(bpms) {
+  const values = (bpms || []).filter((v) => typeof v === "number");
+  if (!values.length) return null;
+
+  const m = median(values);
+  // 1.4826 scales the MAD to a standard deviation for normally distributed data
+  const mad = 1.4826 * median(values.map((v) => Math.abs(v - m)));
+  const limit = Math.max(OUTLIER_MADS * mad, MIN_OUTLIER_BPM);
+
+  const used = values.filter((v) => Math.abs(v - m) <= limit);
+  const discarded = values.filter((v) => Math.abs(v - m) > limit);
+
+  return {
+    bpm: Math.round(mean(used)),
+    spread: Math.round(std(used) * 10) / 10,
+    min: Math.min(...used),
+    max: Math.max(...used),
+    used,
+    discarded,
+  };
+}
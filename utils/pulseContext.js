@@ -0,0 +1,115 @@
+// utils/pulseContext.js
+// What the user was doing when a reading was taken, and the heart-rate range
+// that is normal for that situation.
+
+export const CONTEXT_TAGS = {
+  RESTING: "resting",
+  AFTER_EXERCISE: "after_exercise",
+  AFTER_MEAL: "after_meal",
+  STRESSED: "stressed",
+  MORNING: "morning",
+  CUSTOM: "custom",
+};
+
+export const CONTEXT_LABELS = {
+  [CONTEXT_TAGS.RESTING]: "Resting",
+  [CONTEXT_TAGS.AFTER_EXERCISE]: "After exercise",
+  [CONTEXT_TAGS.AFTER_MEAL]: "After meal",
+  [CONTEXT_TAGS.STRESSED]: "Stressed",
+  [CONTEXT_TAGS.MORNING]: "Morning",
+  [CONTEXT_TAGS.CUSTOM]: "Custom",
+};
+
+export const POSTURES = {
+  SITTING: "sitting",
+  STANDING: "standing",
+  LYING: "lying",
+};
+
+export const POSTURE_LABELS = {
+  [POSTURES.SITTING]: "Sitting",
+  [POSTURES.STANDING]: "Standing",
+  [POSTURES.LYING]: "Lying down",
+};
+
+export const RANGE_STATUS = {
+  BELOW: "below",
+  WITHIN: "within",
+  ABOVE: "above",
+};
+
+// Adult ranges in BPM. Resting is the usual 60–100; the others are what is
+// still unremarkable in that situation rather than clinical cut-offs.
+const REFERENCE_RANGES = {
+  [CONTEXT_TAGS.RESTING]: {
+    min: 60,
+    max: 100,
+    label: "Resting",
+    note: "Typical adult resting heart rate.",
+  },
+  [CONTEXT_TAGS.MORNING]: {
+    min: 50,
+    max: 90,
+    label: "Morning",
+    note: "Heart rate is usually at its lowest shortly after waking.",
+  },
+  [CONTEXT_TAGS.AFTER_EXERCISE]: {
+    min: 80,
+    max: 160,
+    label: "Post-exercise recovery",
+    note: "Should drop by 12 BPM or more within a minute of stopping and settle back to resting within 10–20 minutes.",
+  },
+  [CONTEXT_TAGS.AFTER_MEAL]: {
+    min: 65,
+    max: 105,
+    label: "After a meal",
+    note: "Digestion raises heart rate a little for an hour or two.",
+  },
+  [CONTEXT_TAGS.STRESSED]: {
+    min: 70,
+    max: 115,
+    label: "Under stress",
+    note: "Stress and anxiety raise heart rate; a few slow breaths usually bring it down.",
+  },
+};
+
+// Standing raises the heart rate a little, lying down lowers it
+const POSTURE_OFFSETS = {
+  [POSTURES.SITTING]: 0,
+  [POSTURES.STANDING]: 8,
+  [POSTURES.LYING]: -5,
+};
+
+/*
+  context: { tag, customTag, posture } as stored with a reading (or null).
+  Returns { min, max, label, note } — the resting range for untagged and
+  custom-tagged readings.
+*/
+export function getReferenceRange(context) {
+  const tag = context && context.tag;
+  const base = REFERENCE_RANGES[tag] || REFERENCE_RANGES[CONTEXT_TAGS.RESTING];
+  const offset = (context && POSTURE_OFFSETS[context.posture]) || 0;
+  // Post-exercise readings are dominated by the recovery, not by posture
+  if (!offset || tag === CONTEXT_TAGS.AFTER_EXERCISE) return base;
+  return {
+    ...base,
+    min: base.min + offset,
+    max: base.max + offset,
+    label: `${base.label}, ${POSTURE_LABELS[context.posture].toLowerCase()}`,
+  };
+}
+
+export function classifyBpm(bpm, range) {
+  if (bpm < range.min) return RANGE_STATUS.BELOW;
+  if (bpm > range.max) return RANGE_STATUS.ABOVE;
+  return RANGE_STATUS.WITHIN;
+}
+
+// Display name of a reading's tag ("Custom" readings show what the user typed)
+export function contextLabel(context) {
+  if (!context || !context.tag) return null;
+  if (context.tag === CONTEXT_TAGS.CUSTOM) {
+    return (context.customTag || "").trim() || CONTEXT_LABELS[CONTEXT_TAGS.CUSTOM];
+  }
+  return CONTEXT_LABELS[context.tag] || context.tag;
+}
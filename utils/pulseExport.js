@@ -0,0 +1,261 @@
+// utils/pulseExport.js
+// Exports of the pulse data: a doctor-facing CSV of every reading and printable
+// PDF report, plus the calibration dataset. Files are written to the cache and
+// handed to the share sheet.
+import { File, Paths } from "expo-file-system";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import { mean } from "./ppg";
+import { summarizeBpm } from "./pulseHistory";
+import { POSTURE_LABELS, contextLabel, getReferenceRange } from "./pulseContext";
+import { RHYTHM_STATUS } from "./rhythm";
+
+const CSV_COLUMNS = [
+  ["date", (e) => e.when],
+  ["bpm", (e) => e.bpm],
+  ["context", (e) => contextLabel(e.context)],
+  ["posture", (e) => e.context && e.context.posture],
+  ["rmssd_ms", (e) => e.hrv && e.hrv.rmssd],
+  ["sdnn_ms", (e) => e.hrv && e.hrv.sdnn],
+  ["pnn50_pct", (e) => e.hrv && e.hrv.pnn50],
+  ["hrv_confidence", (e) => e.hrv && e.hrv.confidence],
+  ["breaths_per_min", (e) => e.respiration && e.respiration.rate],
+  ["rhythm", (e) => e.rhythm && e.rhythm.status],
+  ["duration_sec", (e) => e.durationSec && Math.round(e.durationSec)],
+  ["method", (e) => e.method],
+  ["source", (e) => e.source],
+  ["signal_quality", (e) => e.quality && e.quality.level],
+  ["samples_spread_bpm", (e) => e.samples && e.samples.spread],
+  ["samples_read", (e) => e.samples && e.samples.count],
+  ["samples_requested", (e) => e.samples && (e.samples.requested ?? e.samples.count)],
+  ["note", (e) => e.note],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+const formatDateTime = (iso) => new Date(iso).toLocaleString();
+
+// yyyy-mm-dd of today, for file names
+function fileStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function shareFile(uri, mimeType, uti, dialogTitle) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device.");
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI: uti, dialogTitle });
+}
+
+function writeCacheFile(name, contents) {
+  const file = new File(Paths.cache, name);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(contents);
+  return file;
+}
+
+// Entries oldest first, so the date range and charts read left to right
+function chronological(entries) {
+  return [...entries].sort((a, b) => new Date(a.when) - new Date(b.when));
+}
+
+export function buildPulseCsv(entries) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(",");
+  const rows = chronological(entries).map((e) =>
+    CSV_COLUMNS.map(([, get]) => csvCell(get(e))).join(",")
+  );
+  return [header, ...rows].join("\n");
+}
+
+// SVG polyline chart of values (any scale) with optional dots at markers
+function svgLineChart(values, { width = 520, height = 140, markers = [], band = null } = {}) {
+  const lo = Math.min(...values, band ? band.min : Infinity);
+  const hi = Math.max(...values, band ? band.max : -Infinity);
+  const span = hi - lo || 1;
+  const pad = 8;
+  const x = (i) => pad + (i / Math.max(1, values.length - 1)) * (width - 2 * pad);
+  const y = (v) => height - pad - ((v - lo) / span) * (height - 2 * pad);
+  const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const bandRect = band
+    ? `<rect x="${pad}" width="${width - 2 * pad}" y="${y(band.max)}" height="${
+        y(band.min) - y(band.max)
+      }" fill="#dcfce7" />`
+    : "";
+  const dots = markers
+    .map((i) => `<circle cx="${x(i)}" cy="${y(values[i])}" r="3" fill="#ef4444" />`)
+    .join("");
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    ${bandRect}
+    <polyline points="${points}" fill="none" stroke="#684bf7" stroke-width="2" />
+    ${dots}
+  </svg>`;
+}
+
+function hrvSummary(entries) {
+  const withHrv = entries.filter((e) => e.hrv);
+  if (!withHrv.length) return null;
+  return {
+    rmssd: Math.round(mean(withHrv.map((e) => e.hrv.rmssd))),
+    sdnn: Math.round(mean(withHrv.map((e) => e.hrv.sdnn))),
+    count: withHrv.length,
+  };
+}
+
+export function buildPulseReportHtml(entries) {
+  const sorted = chronological(entries);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const bpm = summarizeBpm(sorted);
+  const hrv = hrvSummary(sorted);
+  const irregular = sorted.filter((e) => e.rhythm && e.rhythm.status === RHYTHM_STATUS.IRREGULAR);
+  const traced = [...sorted].reverse().find((e) => e.trace && e.trace.waveform.length > 1);
+  const resting = getReferenceRange(null);
+
+  const stat = (label, value) =>
+    `<div class="stat"><div class="label">${label}</div><div class="value">${value}</div></div>`;
+
+  const rows = [...sorted]
+    .reverse()
+    .map(
+      (e) => `<tr>
+        <td>${escapeHtml(formatDateTime(e.when))}</td>
+        <td><b>${escapeHtml(e.bpm)}</b></td>
+        <td>${escapeHtml(
+          [contextLabel(e.context), e.context && POSTURE_LABELS[e.context.posture]]
+            .filter(Boolean)
+            .join(", ")
+        )}</td>
+        <td>${e.hrv ? `${e.hrv.rmssd} / ${e.hrv.sdnn}` : ""}</td>
+        <td>${e.respiration ? e.respiration.rate : ""}</td>
+        <td>${e.rhythm && e.rhythm.status === RHYTHM_STATUS.IRREGULAR ? "Irregular" : ""}</td>
+        <td>${escapeHtml(e.note)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #222; padding: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 22px 0 8px; }
+  .muted { color: #666; font-size: 12px; }
+  .stats { display: flex; gap: 10px; margin-top: 14px; }
+  .stat { flex: 1; background: #f8f5f7; border-radius: 8px; padding: 8px; text-align: center; }
+  .stat .label { color: #666; font-size: 11px; }
+  .stat .value { font-size: 18px; font-weight: 700; margin-top: 2px; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  th, td { text-align: left; padding: 5px 4px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { color: #666; font-weight: 600; }
+  .warning { color: #b45309; font-weight: 600; font-size: 12px; }
+</style>
+</head>
+<body>
+  <h1>Pulse report</h1>
+  <div class="muted">
+    ${escapeHtml(formatDate(first.when))} – ${escapeHtml(formatDate(last.when))} ·
+    ${sorted.length} reading${sorted.length === 1 ? "" : "s"} · generated ${escapeHtml(
+    formatDateTime(new Date().toISOString())
+  )}
+  </div>
+
+  <div class="stats">
+    ${stat("Min BPM", bpm ? bpm.min : "–")}
+    ${stat("Average BPM", bpm ? bpm.avg : "–")}
+    ${stat("Max BPM", bpm ? bpm.max : "–")}
+    ${stat("RMSSD (ms)", hrv ? hrv.rmssd : "–")}
+    ${stat("SDNN (ms)", hrv ? hrv.sdnn : "–")}
+  </div>
+  ${hrv ? `<div class="muted">HRV averaged over ${hrv.count} reading(s) with enough clean beats.</div>` : ""}
+  ${
+    irregular.length
+      ? `<p class="warning">Irregular rhythm flagged in ${irregular.length} reading(s). This is a screening hint from the phone camera, not a diagnosis.</p>`
+      : ""
+  }
+
+  ${
+    sorted.length > 1
+      ? `<h2>Heart rate over time</h2>
+  ${svgLineChart(
+    sorted.map((e) => e.bpm),
+    { band: resting }
+  )}
+  <div class="muted">Shaded: typical resting range ${resting.min}–${resting.max} BPM.</div>`
+      : ""
+  }
+
+  ${
+    traced
+      ? `<h2>Pulse waveform · ${escapeHtml(formatDateTime(traced.when))} (${traced.bpm} BPM)</h2>
+  ${svgLineChart(traced.trace.waveform, { markers: traced.trace.peaks })}
+  <div class="muted">Red dots mark detected beats.</div>`
+      : ""
+  }
+
+  <h2>Readings</h2>
+  <table>
+    <tr><th>Date</th><th>BPM</th><th>Context</th><th>RMSSD / SDNN</th><th>Breaths/min</th><th>Rhythm</th><th>Note</th></tr>
+    ${rows}
+  </table>
+
+  <p class="muted">
+    Measured with a phone camera (photoplethysmography). Readings can be affected by
+    movement, light and skin contact and are not a substitute for a clinical measurement.
+  </p>
+</body>
+</html>`;
+}
+
+export async function sharePulseCsv(entries) {
+  if (!entries.length) throw new Error("There are no measurements to export.");
+  const file = writeCacheFile(`pulse-readings-${fileStamp()}.csv`, buildPulseCsv(entries));
+  await shareFile(file.uri, "text/csv", "public.comma-separated-values-text", "Share pulse readings");
+}
+
+export async function sharePulseReport(entries) {
+  if (!entries.length) throw new Error("There are no measurements to export.");
+  const { uri } = await Print.printToFileAsync({ html: buildPulseReportHtml(entries) });
+  // Give the PDF a readable name before it reaches the recipient
+  const pdf = new File(uri);
+  const target = new File(Paths.cache, `pulse-report-${fileStamp()}.pdf`);
+  if (target.exists) target.delete();
+  pdf.move(target);
+  await shareFile(pdf.uri, "application/pdf", "com.adobe.pdf", "Share pulse report");
+}
+
+const CALIBRATION_COLUMNS = [
+  ["date", (p) => p.when],
+  ["reference_bpm", (p) => p.reference],
+  ["reported_bpm", (p) => p.final],
+  ["local_bpm", (p) => p.local],
+  ["remote_bpm", (p) => p.remote],
+  ["method", (p) => p.method],
+  ["duration_sec", (p) => p.durationSec && Math.round(p.durationSec)],
+  ["reference_device", (p) => p.device],
+];
+
+export async function shareCalibrationCsv(pairs) {
+  if (!pairs.length) throw new Error("There are no calibration readings to export.");
+  const rows = [...pairs]
+    .reverse()
+    .map((p) => CALIBRATION_COLUMNS.map(([, get]) => csvCell(get(p))).join(","));
+  const csv = [CALIBRATION_COLUMNS.map(([name]) => name).join(","), ...rows].join("\n");
+  const file = writeCacheFile(`pulse-calibration-${fileStamp()}.csv`, csv);
+  await shareFile(file.uri, "text/csv", "public.comma-separated-values-text", "Share calibration data");
+}
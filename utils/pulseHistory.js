@@ -0,0 +1,136 @@
+// utils/pulseHistory.js
+// Saved pulse measurements (newest first) in AsyncStorage, plus trend summaries.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { mean } from "./ppg";
+
+const HISTORY_KEY = "PULSE_HISTORY";
+const MAX_ENTRIES = 500;
+
+export const TREND_PERIODS = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+};
+
+// How many buckets back each trend chart looks
+const PERIOD_BUCKETS = {
+  [TREND_PERIODS.DAILY]: 14,
+  [TREND_PERIODS.WEEKLY]: 8,
+  [TREND_PERIODS.MONTHLY]: 6,
+};
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+export async function loadPulseHistory() {
+  try {
+    const s = await AsyncStorage.getItem(HISTORY_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch (err) {
+    console.warn("Failed reading pulse history:", err);
+    return [];
+  }
+}
+
+async function writePulseHistory(entries) {
+  await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(entries.slice(0, MAX_ENTRIES)));
+}
+
+/*
+  Saves a measurement and returns the stored entry.
+  measurement: { bpm, durationSec, quality, source, ... } — anything extra is kept as-is.
+*/
+export async function addPulseMeasurement(measurement) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    when: new Date().toISOString(),
+    note: "",
+    ...measurement,
+  };
+  try {
+    const entries = await loadPulseHistory();
+    await writePulseHistory([entry, ...entries]);
+  } catch (err) {
+    console.warn("Failed saving pulse measurement:", err);
+  }
+  return entry;
+}
+
+// Merges patch into the entry with this id; returns the updated list
+export async function updatePulseMeasurement(id, patch) {
+  const entries = await loadPulseHistory();
+  const updated = entries.map((e) => (e.id === id ? { ...e, ...patch } : e));
+  await writePulseHistory(updated);
+  return updated;
+}
+
+// Removes the entry with this id; returns the updated list
+export async function deletePulseMeasurement(id) {
+  const entries = await loadPulseHistory();
+  const updated = entries.filter((e) => e.id !== id);
+  await writePulseHistory(updated);
+  return updated;
+}
+
+export async function clearPulseHistory() {
+  await AsyncStorage.removeItem(HISTORY_KEY);
+}
+
+// { min, max, avg, count } of the entries' BPM, or null when empty
+export function summarizeBpm(entries) {
+  const values = entries.map((e) => e.bpm).filter((v) => typeof v === "number");
+  if (!values.length) return null;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: Math.round(mean(values)),
+    count: values.length,
+  };
+}
+
+// Start of the day / week (Monday) / month containing date
+function bucketStart(date, period) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  if (period === TREND_PERIODS.WEEKLY) d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === TREND_PERIODS.MONTHLY) d.setDate(1);
+  return d;
+}
+
+function bucketLabel(d, period) {
+  if (period === TREND_PERIODS.MONTHLY) return MONTHS[d.getMonth()];
+  return `${d.getDate()}/${d.getMonth() + 1}`;
+}
+
+/*
+  Groups entries into the recent days / weeks / months.
+  Returns { buckets, stats }: the non-empty buckets oldest first as
+  [{ label, min, max, avg, count }], and summarizeBpm() over the whole window.
+*/
+export function summarizeTrend(entries, period) {
+  const current = bucketStart(new Date(), period);
+  const buckets = [];
+  for (let i = PERIOD_BUCKETS[period] - 1; i >= 0; i--) {
+    const d = new Date(current);
+    if (period === TREND_PERIODS.DAILY) d.setDate(d.getDate() - i);
+    if (period === TREND_PERIODS.WEEKLY) d.setDate(d.getDate() - 7 * i);
+    if (period === TREND_PERIODS.MONTHLY) d.setMonth(d.getMonth() - i);
+    buckets.push({ key: d.getTime(), label: bucketLabel(d, period), entries: [] });
+  }
+
+  const inWindow = [];
+  entries.forEach((e) => {
+    const key = bucketStart(new Date(e.when), period).getTime();
+    const bucket = buckets.find((b) => b.key === key);
+    if (bucket) {
+      bucket.entries.push(e);
+      inWindow.push(e);
+    }
+  });
+
+  return {
+    buckets: buckets
+      .map((b) => ({ label: b.label, ...summarizeBpm(b.entries) }))
+      .filter((b) => b.count),
+    stats: summarizeBpm(inWindow),
+  };
+}
@@ -0,0 +1,105 @@
+// utils/pulseSettings.js
+// Pulse scan preferences persisted in AsyncStorage.
+import { useCallback, useRef, useState } from "react";
+import { useFocusEffect } from "@react-navigation/native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const SETTINGS_KEY = "PULSE_SETTINGS";
+
+export const ANALYSIS_MODES = {
+  LOCAL: "local",
+  REMOTE: "remote",
+  BOTH: "both",
+};
+
+// Fingertip over the rear camera + flash, or contactless with the front camera
+export const MEASUREMENT_METHODS = {
+  FINGER: "finger",
+  FACE: "face",
+};
+
+export const POOR_SIGNAL_ACTIONS = {
+  RESTART: "restart",
+  ABORT: "abort",
+};
+
+// Capture lengths (seconds) offered for a normal scan
+export const SCAN_DURATIONS = [8, 10, 15, 20, 30];
+
+// Number of consecutive captures offered in averaging mode
+export const SAMPLE_COUNTS = [2, 3, 4, 5];
+
+// Scan lengths (seconds) offered for HRV mode; HRV needs far more beats than a BPM reading
+export const HRV_DURATIONS = [30, 60, 120, 180];
+
+export const DEFAULT_PULSE_SETTINGS = {
+  measurementMethod: MEASUREMENT_METHODS.FINGER,
+  // Where the heart rate is computed: on the phone, on the backend, or both side by side.
+  // On the phone only, the camera takes stills without recording video at the same time.
+  analysisMode: ANALYSIS_MODES.LOCAL,
+  // What to do when the live signal quality stays poor during a scan
+  poorSignalAction: POOR_SIGNAL_ACTIONS.RESTART,
+  // Seconds per capture
+  scanDuration: 8,
+  // Take several captures and report their outlier-filtered average
+  averagingMode: false,
+  sampleCount: 3,
+  // Longer scans for reliable heart-rate variability
+  hrvMode: false,
+  hrvDuration: 60,
+  // Feedback on each detected beat
+  beatSound: true,
+  // Off by default: vibration moves the phone against the fingertip and shows up in the signal
+  beatHaptics: false,
+  // Ask for a reference device's BPM after each scan, for accuracy validation
+  calibrationMode: false,
+};
+
+export async function loadPulseSettings() {
+  try {
+    const s = await AsyncStorage.getItem(SETTINGS_KEY);
+    return s ? { ...DEFAULT_PULSE_SETTINGS, ...JSON.parse(s) } : { ...DEFAULT_PULSE_SETTINGS };
+  } catch (err) {
+    console.warn("Failed reading pulse settings:", err);
+    return { ...DEFAULT_PULSE_SETTINGS };
+  }
+}
+
+export async function savePulseSettings(settings) {
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Failed saving pulse settings:", err);
+  }
+}
+
+// Settings for a screen; reloaded whenever the screen regains focus
+export function usePulseSettings() {
+  const [settings, setSettings] = useState(DEFAULT_PULSE_SETTINGS);
+
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      loadPulseSettings().then((s) => {
+        if (active) setSettings(s);
+      });
+      return () => {
+        active = false;
+      };
+    }, [])
+  );
+
+  // Kept in a ref so the next settings can be saved outside the state updater,
+  // which React may run more than once
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  const updateSettings = useCallback((patch) => {
+    const next = { ...settingsRef.current, ...patch };
+    settingsRef.current = next;
+    setSettings(next);
+    savePulseSettings(next);
+  }, []);
+
+  return [settings, updateSettings];
+}
@@ -0,0 +1,85 @@
+// utils/respiration.js
+// Breathing rate from the PPG: breathing shifts the signal baseline (RIIV),
+// scales the beat amplitude (RIAV) and speeds/slows the beats (RIFV).
+// Each modulation gives an estimate; their agreement is the quality flag.
+import {
+  bandpassFilter,
+  detectPeaks,
+  mean,
+  median,
+  peakIntervals,
+  resampleUniform,
+} from "./ppg";
+import { QUALITY_LEVELS } from "./signalQuality";
+
+// Anything shorter holds too few breaths to count reliably
+export const MIN_RESPIRATION_SEC = 30;
+
+const RESP_SAMPLE_RATE = 4;
+// 6–30 breaths per minute
+const RESP_LOW_HZ = 0.1;
+const RESP_HIGH_HZ = 0.5;
+
+// Rate of the dominant breathing-band oscillation in breaths/min, or null
+function dominantRate(samples) {
+  const signal = resampleUniform(samples, RESP_SAMPLE_RATE);
+  if (signal.length < RESP_SAMPLE_RATE * 10) return null;
+  const filtered = bandpassFilter(signal, RESP_SAMPLE_RATE, RESP_LOW_HZ, RESP_HIGH_HZ);
+  const peaks = detectPeaks(filtered, RESP_SAMPLE_RATE, RESP_HIGH_HZ * 60);
+  if (peaks.length < 3) return null;
+  const rate = 60000 / median(peakIntervals(peaks, RESP_SAMPLE_RATE));
+  return rate >= RESP_LOW_HZ * 60 && rate <= RESP_HIGH_HZ * 60 ? rate : null;
+}
+
+/*
+  frames: the raw { t, r, g, b } frames of one capture
+  analysis: the analyzePpgFrames() result for those frames
+  Returns { rate, quality, estimates } or null when the capture is too short
+  or no breathing rhythm could be found.
+*/
+export function estimateRespiration(frames, analysis) {
+  if (!frames || !analysis) return null;
+  // durationSec spans first to last frame; the frames themselves cover one
+  // frame interval more, so a full 30 s capture measures just under 30 s
+  const capturedSec = analysis.durationSec + (analysis.frameRate ? 1 / analysis.frameRate : 0);
+  if (capturedSec < MIN_RESPIRATION_SEC) return null;
+
+  const { waveform, peaks, intervals, fs } = analysis;
+  const beatTime = (p) => (p * 1000) / fs;
+
+  const baseline = frames.map((f) => ({ t: f.t, value: -f.r }));
+
+  // Peak height above the preceding trough
+  const amplitude = [];
+  for (let i = 1; i < peaks.length; i++) {
+    const trough = Math.min(...waveform.slice(peaks[i - 1], peaks[i]));
+    amplitude.push({ t: beatTime(peaks[i]), value: waveform[peaks[i]] - trough });
+  }
+
+  const frequency = intervals.map((ibi, i) => ({ t: beatTime(peaks[i + 1]), value: ibi }));
+
+  const estimates = {
+    baseline: dominantRate(baseline),
+    amplitude: dominantRate(amplitude),
+    frequency: dominantRate(frequency),
+  };
+  const values = Object.values(estimates).filter((v) => v !== null);
+  if (!values.length) return null;
+
+  // Estimates within a few breaths/min of the median are taken to agree
+  const mid = median(values);
+  const agreeing = values.filter((v) => Math.abs(v - mid) <= 3);
+  let quality = QUALITY_LEVELS.POOR;
+  if (agreeing.length >= 2 && agreeing.length === values.length) quality = QUALITY_LEVELS.GOOD;
+  else if (agreeing.length >= 2) quality = QUALITY_LEVELS.FAIR;
+
+  Object.keys(estimates).forEach((k) => {
+    if (estimates[k] !== null) estimates[k] = Math.round(estimates[k] * 10) / 10;
+  });
+
+  return {
+    rate: Math.round(mean(agreeing.length ? agreeing : values)),
+    quality,
+    estimates,
+  };
+}
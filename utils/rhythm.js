@@ -0,0 +1,130 @@
+// utils/rhythm.js
+// Irregular-rhythm screening from inter-beat intervals (ms), after the
+// RMSSD / Shannon entropy / turning-point approach used for AF detection
+// in pulse recordings. This flags patterns worth a doctor's look; it is
+// not a diagnosis.
+import { mean } from "./ppg";
+import { isPlausibleInterval } from "./hrv";
+
+export const RHYTHM_STATUS = {
+  REGULAR: "regular",
+  IRREGULAR: "irregular",
+  INSUFFICIENT: "insufficient",
+};
+
+// ~20 beats is the least the statistics below mean anything on
+export const MIN_RHYTHM_INTERVALS = 20;
+
+// Share of the shortest and longest intervals dropped as likely detection errors
+const TRIM_RATIO = 0.05;
+
+const ENTROPY_BINS = 16;
+const NRMSSD_THRESHOLD = 0.1;
+const ENTROPY_THRESHOLD = 0.7;
+// Random (irregular) series have a turning-point ratio near 2/3
+const TPR_RANGE = [0.54, 0.77];
+
+// Bounds [lo, hi] that leave out the trimmed extremes
+function trimBounds(intervals) {
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const k = Math.floor(sorted.length * TRIM_RATIO);
+  return [sorted[k], sorted[sorted.length - 1 - k]];
+}
+
+/*
+  Splits series (one interval list per capture) into runs of truly successive
+  intervals: a capture boundary or a dropped interval ends a run, so no
+  difference or turning point is taken across a gap
+*/
+function successiveRuns(series, keep) {
+  const runs = [];
+  series.forEach((intervals) => {
+    let run = [];
+    intervals.forEach((v) => {
+      if (keep(v)) {
+        run.push(v);
+        return;
+      }
+      if (run.length) runs.push(run);
+      run = [];
+    });
+    if (run.length) runs.push(run);
+  });
+  return runs;
+}
+
+// Normalized Shannon entropy (0–1) of the interval histogram
+function shannonEntropy(intervals) {
+  const min = Math.min(...intervals);
+  const max = Math.max(...intervals);
+  if (max === min) return 0;
+  const counts = new Array(ENTROPY_BINS).fill(0);
+  intervals.forEach((v) => {
+    const bin = Math.min(ENTROPY_BINS - 1, Math.floor(((v - min) / (max - min)) * ENTROPY_BINS));
+    counts[bin] += 1;
+  });
+  return counts.reduce((h, c) => {
+    if (!c) return h;
+    const p = c / intervals.length;
+    return h - (p * Math.log(p)) / Math.log(ENTROPY_BINS);
+  }, 0);
+}
+
+function turningPointRatio(runs) {
+  let turns = 0;
+  let triples = 0;
+  runs.forEach((run) => {
+    for (let i = 1; i < run.length - 1; i++) {
+      const a = run[i - 1];
+      const b = run[i];
+      const c = run[i + 1];
+      if ((b > a && b > c) || (b < a && b < c)) turns += 1;
+      triples += 1;
+    }
+  });
+  return triples ? turns / triples : 0;
+}
+
+/*
+  intervals: one interval list, or one per capture when several are pooled
+  (they are never compared across captures).
+  Returns { status, nRmssd, entropy, tpr, intervalCount }.
+  status is INSUFFICIENT (with null statistics) when there are too few beats.
+*/
+export function assessRhythm(intervals) {
+  const list = intervals || [];
+  const series = Array.isArray(list[0]) ? list : [list];
+  const valid = series.flat().filter(isPlausibleInterval);
+  if (valid.length < MIN_RHYTHM_INTERVALS) {
+    return {
+      status: RHYTHM_STATUS.INSUFFICIENT,
+      nRmssd: null,
+      entropy: null,
+      tpr: null,
+      intervalCount: valid.length,
+    };
+  }
+
+  // Keep beat order; only the extremes go
+  const [lo, hi] = trimBounds(valid);
+  const runs = successiveRuns(series, (v) => isPlausibleInterval(v) && v >= lo && v <= hi);
+  const clean = runs.flat();
+  const diffs = runs.flatMap((run) => run.slice(1).map((v, i) => v - run[i]));
+  const nRmssd = diffs.length ? Math.sqrt(mean(diffs.map((d) => d * d))) / mean(clean) : 0;
+  const entropy = shannonEntropy(clean);
+  const tpr = turningPointRatio(runs);
+
+  const irregular =
+    nRmssd > NRMSSD_THRESHOLD &&
+    entropy > ENTROPY_THRESHOLD &&
+    tpr >= TPR_RANGE[0] &&
+    tpr <= TPR_RANGE[1];
+
+  return {
+    status: irregular ? RHYTHM_STATUS.IRREGULAR : RHYTHM_STATUS.REGULAR,
+    nRmssd: Math.round(nRmssd * 1000) / 1000,
+    entropy: Math.round(entropy * 100) / 100,
+    tpr: Math.round(tpr * 100) / 100,
+    intervalCount: clean.length,
+  };
+}
@@ -0,0 +1,160 @@
+// utils/signalQuality.js
+// Live signal-quality checks on sampled camera frames ({ t, r, g, b }), for
+// the fingertip method and the contactless face method.
+import { mean, std } from "./ppg";
+
+// Only the most recent frames are judged, so the verdict follows the finger quickly
+const QUALITY_WINDOW_MS = 1500;
+const MIN_WINDOW_FRAMES = 3;
+
+// A lit fingertip is bright and strongly red; anything else is ambient scene
+const MIN_RED = 60;
+const MIN_RED_RATIO = 0.5;
+const SATURATED_RED = 252;
+
+// Pulsatile change is ~1–2% of the red level; much more than that is movement
+const MAX_RELATIVE_STD = 0.05;
+const MAX_RELATIVE_JUMP = 0.08;
+
+// The face signal is ~10x weaker, so the face checks are stricter about movement
+const MIN_FACE_BRIGHTNESS = 40;
+const MIN_SKIN_RED_EXCESS = 0.02;
+const MAX_FACE_RELATIVE_STD = 0.03;
+const MAX_FACE_RELATIVE_JUMP = 0.05;
+// Forehead and cheeks of one face differ little in tint and, under ordinary
+// light, by well under a factor of two in brightness
+const MAX_PATCH_CHROMA_SPREAD = 0.04;
+const MIN_PATCH_BRIGHTNESS_RATIO = 0.6;
+const MAX_PATCH_BRIGHTNESS_RATIO = 1.6;
+
+export const QUALITY_ISSUES = {
+  NO_FINGER: "no_finger",
+  TOO_DARK: "too_dark",
+  SATURATED: "saturated",
+  MOTION: "motion",
+  NO_FACE: "no_face",
+  LOW_LIGHT: "low_light",
+};
+
+export const QUALITY_MESSAGES = {
+  [QUALITY_ISSUES.NO_FINGER]: "Finger not covering lens",
+  [QUALITY_ISSUES.TOO_DARK]: "Too dark — make sure the flash is on and don’t press too hard",
+  [QUALITY_ISSUES.SATURATED]: "Too bright — cover the flash completely",
+  [QUALITY_ISSUES.MOTION]: "Too much movement — hold still",
+  [QUALITY_ISSUES.NO_FACE]: "Center your face in the oval",
+  [QUALITY_ISSUES.LOW_LIGHT]: "Too dark — face a window or a lamp",
+};
+
+// Latest QUALITY_WINDOW_MS of frames, or null while there are too few to judge
+function recentWindow(frames) {
+  if (!frames || !frames.length) return null;
+  const last = frames[frames.length - 1].t;
+  const window = frames.filter((f) => last - f.t <= QUALITY_WINDOW_MS);
+  return window.length < MIN_WINDOW_FRAMES ? null : window;
+}
+
+// Whether a channel moves more than pulse alone could explain
+function hasMotion(values, maxRelativeStd, maxRelativeJump) {
+  const m = mean(values) || 1;
+  let maxJump = 0;
+  for (let i = 1; i < values.length; i++) {
+    maxJump = Math.max(maxJump, Math.abs(values[i] - values[i - 1]));
+  }
+  return std(values) / m > maxRelativeStd || maxJump / m > maxRelativeJump;
+}
+
+const fail = (issue) => ({ ok: false, issue, message: QUALITY_MESSAGES[issue] });
+
+/*
+  Judges the latest window of frames.
+  Returns { pending: true } until enough frames exist, then
+  { ok: true } or { ok: false, issue, message }.
+*/
+export function assessSignalQuality(frames) {
+  const window = recentWindow(frames);
+  if (!window) return { pending: true };
+
+  const reds = window.map((f) => f.r);
+  const r = mean(reds);
+  const g = mean(window.map((f) => f.g));
+  const b = mean(window.map((f) => f.b));
+  const redRatio = r / (r + g + b || 1);
+
+  if (redRatio < MIN_RED_RATIO) return fail(QUALITY_ISSUES.NO_FINGER);
+  if (r < MIN_RED) return fail(QUALITY_ISSUES.TOO_DARK);
+  if (r >= SATURATED_RED) return fail(QUALITY_ISSUES.SATURATED);
+
+  if (hasMotion(reds, MAX_RELATIVE_STD, MAX_RELATIVE_JUMP)) {
+    return fail(QUALITY_ISSUES.MOTION);
+  }
+
+  return { ok: true };
+}
+
+const isSkinTone = ({ r, g, b }) => r >= g && r >= b && (r - g) / (r + g + b || 1) >= MIN_SKIN_RED_EXCESS;
+
+/*
+  Framing check over the face patches (forehead, cheeks) of a window:
+  each must look like skin, and alike enough to be the same face rather than
+  a face half out of the oval, hair or background.
+*/
+function isFramed(window) {
+  const count = window[0].patches.length;
+  const patches = Array.from({ length: count }, (_, i) => ({
+    r: mean(window.map((f) => f.patches[i].r)),
+    g: mean(window.map((f) => f.patches[i].g)),
+    b: mean(window.map((f) => f.patches[i].b)),
+  }));
+  if (!patches.every(isSkinTone)) return false;
+
+  const chroma = patches.map((p) => p.r / (p.r + p.g + p.b || 1));
+  if (Math.max(...chroma) - Math.min(...chroma) > MAX_PATCH_CHROMA_SPREAD) return false;
+
+  const brightness = patches.map((p) => p.r + p.g + p.b);
+  const average = mean(brightness) || 1;
+  return brightness.every(
+    (v) => v / average >= MIN_PATCH_BRIGHTNESS_RATIO && v / average <= MAX_PATCH_BRIGHTNESS_RATIO
+  );
+}
+
+// Same contract as assessSignalQuality, for the face region of front-camera frames
+export function assessFaceSignalQuality(frames) {
+  const window = recentWindow(frames);
+  if (!window) return { pending: true };
+
+  const r = mean(window.map((f) => f.r));
+  const greens = window.map((f) => f.g);
+  const g = mean(greens);
+  const b = mean(window.map((f) => f.b));
+
+  if ((r + g + b) / 3 < MIN_FACE_BRIGHTNESS) return fail(QUALITY_ISSUES.LOW_LIGHT);
+  // Skin is redder than it is green or blue; walls and hair mostly are not
+  if (!isSkinTone({ r, g, b })) return fail(QUALITY_ISSUES.NO_FACE);
+  if (window.every((f) => f.patches) && !isFramed(window)) {
+    return fail(QUALITY_ISSUES.NO_FACE);
+  }
+  if (hasMotion(greens, MAX_FACE_RELATIVE_STD, MAX_FACE_RELATIVE_JUMP)) {
+    return fail(QUALITY_ISSUES.MOTION);
+  }
+
+  return { ok: true };
+}
+
+export const QUALITY_LEVELS = {
+  GOOD: "good",
+  FAIR: "fair",
+  POOR: "poor",
+};
+
+/*
+  Summarizes a whole scan from how many assessed frame windows passed.
+  Returns { score (0–100), level } or null when nothing was assessed.
+*/
+export function summarizeScanQuality(goodCount, assessedCount) {
+  if (!assessedCount) return null;
+  const score = Math.round((goodCount / assessedCount) * 100);
+  let level = QUALITY_LEVELS.POOR;
+  if (score >= 80) level = QUALITY_LEVELS.GOOD;
+  else if (score >= 50) level = QUALITY_LEVELS.FAIR;
+  return { score, level };
+}